@@ -4,6 +4,9 @@ const socket = io();
 // DOM Elements
 const startBtn = document.getElementById('startBtn');
 const stopBtn = document.getElementById('stopBtn');
+const pauseBtn = document.getElementById('pauseBtn');
+const resumeBtn = document.getElementById('resumeBtn');
+const pausedIndicator = document.getElementById('pausedIndicator');
 const notesInput = document.getElementById('notesInput');
 const saveNotesBtn = document.getElementById('saveNotesBtn');
 const previewPlayer = document.getElementById('previewPlayer');
@@ -13,14 +16,53 @@ const statusText = document.getElementById('statusText');
 const timer = document.getElementById('timer');
 const recordingsList = document.getElementById('recordingsList');
 const togglePreviewBtn = document.getElementById('togglePreviewBtn');
+const diskStatus = document.getElementById('diskStatus');
+const deviceSelect = document.getElementById('deviceSelect');
+const refreshDevicesBtn = document.getElementById('refreshDevicesBtn');
+const profileSelect = document.getElementById('profileSelect');
+const schedulesList = document.getElementById('schedulesList');
+const liveToggle = document.getElementById('liveToggle');
+const streamTargetsList = document.getElementById('streamTargets');
+const markerCategory = document.getElementById('markerCategory');
+const markerText = document.getElementById('markerText');
+const markerAuthor = document.getElementById('markerAuthor');
+const addMarkerBtn = document.getElementById('addMarkerBtn');
+const markersList = document.getElementById('markersList');
+const titleInput = document.getElementById('titleInput');
+const tagsInput = document.getElementById('tagsInput');
+const operatorInput = document.getElementById('operatorInput');
+const locationInput = document.getElementById('locationInput');
+const customFieldInputs = document.getElementById('customFieldInputs');
+const tagSuggestions = document.getElementById('tagSuggestions');
+const recordingsCount = document.getElementById('recordingsCount');
+const recordingsFilter = document.getElementById('recordingsFilter');
+const searchInput = document.getElementById('searchInput');
+const statusFilter = document.getElementById('statusFilter');
+const tagFilter = document.getElementById('tagFilter');
+const fromFilter = document.getElementById('fromFilter');
+const toFilter = document.getElementById('toFilter');
+const sortFilter = document.getElementById('sortFilter');
+const recordingsSentinel = document.getElementById('recordingsSentinel');
 
 // State
 let currentRecordingId = null;
 let timerInterval = null;
 let startTime = null;
+// Time spent in finished pauses, and the start of the current one
+let pausedMs = 0;
+let pausedAt = null;
 let previewInterval = null;
+let isPreviewStreaming = false;
 let isPreviewEnabled = false;
 let wasPreviewEnabledBeforeCapture = false;
+let lastRecordings = [];
+// Latest uploadProgress payload per `${recordingId}:${target}`
+const uploadProgress = {};
+const destinationLabels = {
+  sftp: '🖥️ SFTP',
+  s3: '☁️ S3',
+  local: '💾 Local'
+};
 
 // Capture state tracking
 const captureState = {
@@ -30,25 +72,101 @@ const captureState = {
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
   loadRecordings();
+  loadMetadataFields();
+  loadTags();
+  loadDevices();
+  loadProfiles();
+  loadSchedules();
+  loadLiveSettings();
+  loadStreamTargets();
   setupEventListeners();
 });
 
 function setupEventListeners() {
   startBtn.addEventListener('click', startCapture);
   stopBtn.addEventListener('click', stopCapture);
+  pauseBtn.addEventListener('click', pauseCapture);
+  resumeBtn.addEventListener('click', resumeCapture);
   saveNotesBtn.addEventListener('click', saveNotes);
   togglePreviewBtn.addEventListener('click', togglePreview);
+  refreshDevicesBtn.addEventListener('click', loadDevices);
+  deviceSelect.addEventListener('change', () => {
+    localStorage.setItem('captureDevice', deviceSelect.value);
+  });
+  profileSelect.addEventListener('change', () => {
+    localStorage.setItem('captureProfile', profileSelect.value);
+  });
+  recordingsList.addEventListener('click', handleRecordingAction);
+  liveToggle.addEventListener('change', toggleLive);
+  addMarkerBtn.addEventListener('click', addMarker);
+  markerText.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') addMarker();
+  });
+  markerAuthor.value = localStorage.getItem('markerAuthor') || '';
+  markerAuthor.addEventListener('change', () => {
+    localStorage.setItem('markerAuthor', markerAuthor.value.trim());
+  });
+  document.addEventListener('keydown', handleMarkerHotkey);
+  // Operator and location usually stay the same from one recording to the next
+  [operatorInput, locationInput].forEach((input) => {
+    input.value = localStorage.getItem(input.id) || '';
+    input.addEventListener('change', () => {
+      localStorage.setItem(input.id, input.value.trim());
+    });
+  });
+  recordingsFilter.addEventListener('submit', (event) => event.preventDefault());
+  recordingsFilter.addEventListener('change', applyRecordingsFilter);
+  // The form's values are only cleared after the reset event
+  recordingsFilter.addEventListener('reset', () => setTimeout(applyRecordingsFilter));
+  searchInput.addEventListener('input', () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(applyRecordingsFilter, 300);
+  });
+  new IntersectionObserver((entries) => {
+    if (entries.some((entry) => entry.isIntersecting)) loadMoreRecordings();
+  }).observe(recordingsSentinel);
   
   // Socket.io events
   socket.on('captureState', handleCaptureState);
   socket.on('captureStarted', handleCaptureStarted);
   socket.on('captureEnded', handleCaptureEnded);
   socket.on('captureError', handleCaptureError);
+  socket.on('capturePaused', handleCapturePaused);
+  socket.on('captureResumed', handleCaptureResumed);
   socket.on('uploadComplete', handleUploadComplete);
   socket.on('uploadError', handleUploadError);
+  socket.on('uploadQueued', (data) => refreshRecording(data.recordingId));
+  socket.on('uploadCancelled', handleUploadCancelled);
+  socket.on('uploadProgress', handleUploadProgress);
+  socket.on('diskStatus', handleDiskStatus);
+  ['localCopyDeleted', 'recordingFinalized', 'artworkCreated', 'clipQueued', 'clipCreated'].forEach((event) => {
+    socket.on(event, (data) => refreshRecording(data.recordingId));
+  });
+  socket.on('recordingUpdated', (data) => {
+    refreshRecording(data.recordingId);
+    loadTags();
+  });
+  socket.on('metadataFieldsChanged', (data) => renderCustomFieldInputs(data.fields));
+  socket.on('clipError', (data) => {
+    showToast(`Clip failed: ${data.error}`, 'error');
+    refreshRecording(data.recordingId);
+  });
   socket.on('previewStarted', handlePreviewStarted);
   socket.on('previewStopped', handlePreviewStopped);
   socket.on('previewError', handlePreviewError);
+  socket.on('schedulesChanged', loadSchedules);
+  socket.on('streamTargetsChanged', (data) => renderStreamTargets(data.targets));
+  socket.on('streamTargetState', handleStreamTargetState);
+  socket.on('liveSettingsChanged', (data) => {
+    liveToggle.checked = data.enabled;
+  });
+  socket.on('scheduleStarted', handleScheduleStarted);
+  socket.on('scheduleEnded', handleScheduleEnded);
+  socket.on('scheduleConflict', handleScheduleConflict);
+  socket.on('markerAdded', handleMarkerAdded);
+  socket.on('markerDeleted', (data) => {
+    if (data.recordingId === currentRecordingId) loadMarkers();
+  });
 }
 
 // Capture Control Functions
@@ -62,14 +180,27 @@ async function startCapture() {
     const response = await fetch('/api/capture/start', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ notes })
+      body: JSON.stringify({
+        notes,
+        title: titleInput.value.trim(),
+        tags: tagsInput.value,
+        operator: operatorInput.value.trim(),
+        location: locationInput.value.trim(),
+        customFields: getCustomFieldValues(),
+        device: deviceSelect.value || undefined,
+        profileId: profileSelect.value || undefined
+      })
     });
     
     const result = await response.json();
     
     if (result.success) {
       showToast('Capture started successfully', 'success');
+      if (result.warning) {
+        showToast(result.warning, 'error');
+      }
       notesInput.value = '';
+      titleInput.value = '';
     } else {
       showToast(result.error, 'error');
     }
@@ -96,6 +227,230 @@ async function stopCapture() {
   }
 }
 
+async function pauseCapture() {
+  pauseBtn.disabled = true;
+  try {
+    const response = await fetch('/api/capture/pause', { method: 'POST' });
+    const result = await response.json();
+    if (!result.success) {
+      showToast(result.error, 'error');
+      pauseBtn.disabled = false;
+    }
+  } catch (error) {
+    showToast('Failed to pause capture: ' + error.message, 'error');
+    pauseBtn.disabled = false;
+  }
+}
+
+async function resumeCapture() {
+  resumeBtn.disabled = true;
+  try {
+    const response = await fetch('/api/capture/resume', { method: 'POST' });
+    const result = await response.json();
+    if (!result.success) {
+      showToast(result.error, 'error');
+      resumeBtn.disabled = false;
+    }
+  } catch (error) {
+    showToast('Failed to resume capture: ' + error.message, 'error');
+    resumeBtn.disabled = false;
+  }
+}
+
+// Capture Device Functions
+async function loadDevices() {
+  try {
+    const response = await fetch('/api/devices');
+    const result = await response.json();
+    renderDevices(result.devices || [], result.defaultDevice);
+  } catch (error) {
+    showToast('Failed to load devices: ' + error.message, 'error');
+  }
+}
+
+function renderDevices(devices, defaultDevice) {
+  const saved = localStorage.getItem('captureDevice') || '';
+  // Hide metadata nodes, unless probing found no formats at all
+  const captureDevices = devices.some(device => device.capture) ?
+    devices.filter(device => device.capture) :
+    devices;
+
+  deviceSelect.innerHTML = `<option value="">Default (${escapeHtml(defaultDevice || 'server setting')})</option>` +
+    captureDevices.map(device => {
+      // Prefer the by-id link: /dev/videoN numbers change between reboots
+      const value = device.stablePaths[0] || device.path;
+      const label = `${device.name || 'Unknown device'} (${device.path})${device.inUse ? ' – in use' : ''}`;
+      return `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`;
+    }).join('');
+
+  const options = Array.from(deviceSelect.options).map(option => option.value);
+  deviceSelect.value = options.includes(saved) ? saved : '';
+}
+
+// Capture Profile Functions
+async function loadProfiles() {
+  try {
+    const response = await fetch('/api/profiles');
+    const result = await response.json();
+    renderProfiles(result.profiles || [], result.defaults);
+  } catch (error) {
+    showToast('Failed to load profiles: ' + error.message, 'error');
+  }
+}
+
+function describeSettings(settings) {
+  if (!settings) return '';
+  const parts = [settings.resolution, settings.framerate && `${settings.framerate}fps`, settings.videoCodec === 'libx265' ? 'HEVC' : null];
+  return parts.filter(Boolean).join(' ');
+}
+
+function renderProfiles(profiles, defaults) {
+  const saved = localStorage.getItem('captureProfile') || '';
+
+  profileSelect.innerHTML = `<option value="">Default (${escapeHtml(describeSettings(defaults) || 'server settings')})</option>` +
+    profiles.map(profile => {
+      const summary = describeSettings(profile.settings);
+      const label = summary ? `${profile.name} – ${summary}` : profile.name;
+      return `<option value="${escapeHtml(profile.profileId)}">${escapeHtml(label)}</option>`;
+    }).join('');
+
+  const options = Array.from(profileSelect.options).map(option => option.value);
+  profileSelect.value = options.includes(saved) ? saved : '';
+}
+
+// Scheduled Recording Functions
+async function loadSchedules() {
+  try {
+    const response = await fetch('/api/schedules');
+    const result = await response.json();
+    renderSchedules(result.schedules || [], result.activeRun);
+  } catch (error) {
+    console.error('Failed to load schedules:', error);
+  }
+}
+
+function renderSchedules(schedules, activeRun) {
+  if (schedules.length === 0) {
+    schedulesList.innerHTML = '<p class="no-schedules">No scheduled recordings</p>';
+    return;
+  }
+
+  schedulesList.innerHTML = schedules.map(schedule => {
+    const running = activeRun && activeRun.scheduleId === schedule.scheduleId;
+    const recurrence = schedule.type === 'cron' ? `🔁 ${escapeHtml(schedule.cron)}` : '📌 Once';
+    let next = 'No upcoming run';
+    if (running) {
+      next = `Stops at ${new Date(activeRun.stopAt).toLocaleTimeString()}`;
+    } else if (schedule.nextRunAt) {
+      next = `Next: ${new Date(schedule.nextRunAt).toLocaleString()}`;
+    }
+    const statusClass = running ? 'recording' : (schedule.enabled && schedule.nextRunAt ? 'scheduled' : 'completed');
+    const statusText = running ? 'Recording' : (schedule.enabled ? (schedule.nextRunAt ? 'Scheduled' : 'Done') : 'Disabled');
+
+    return `
+      <div class="schedule-card ${schedule.enabled ? '' : 'disabled'}">
+        <div>
+          <h3>${escapeHtml(schedule.name)}</h3>
+          <div class="recording-meta">
+            <span>⏰ ${next}</span>
+            <span>${recurrence}</span>
+            <span>⏱️ ${formatMinutes(schedule.durationMinutes)}</span>
+            ${schedule.lastStatus && !running ? `<span>Last run: ${escapeHtml(schedule.lastStatus)}</span>` : ''}
+          </div>
+          ${schedule.lastError && ['conflict', 'error'].includes(schedule.lastStatus) ? `<div class="schedule-error">⚠️ ${escapeHtml(schedule.lastError)}</div>` : ''}
+        </div>
+        <span class="recording-status ${statusClass}">${statusText}</span>
+      </div>
+    `;
+  }).join('');
+}
+
+function handleScheduleStarted(data) {
+  loadSchedules();
+  showToast(`Scheduled recording "${data.name}" started`, 'info');
+}
+
+function handleScheduleEnded(data) {
+  loadSchedules();
+  showToast(`Scheduled recording "${data.name}" finished`, 'success');
+}
+
+function handleScheduleConflict(data) {
+  loadSchedules();
+  showToast(`Scheduled recording "${data.name}" skipped: ${data.reason}`, 'error');
+}
+
+// Live Stream Functions
+async function loadLiveSettings() {
+  try {
+    const response = await fetch('/api/live');
+    const result = await response.json();
+    liveToggle.checked = result.enabled;
+  } catch (error) {
+    console.error('Failed to load live stream settings:', error);
+  }
+}
+
+async function toggleLive() {
+  try {
+    const response = await fetch('/api/live', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ enabled: liveToggle.checked })
+    });
+    const result = await response.json();
+
+    if (!result.success) {
+      liveToggle.checked = !liveToggle.checked;
+      showToast(result.error, 'error');
+    } else {
+      showToast(`Live stream ${result.enabled ? 'enabled' : 'disabled'}`, 'success');
+    }
+  } catch (error) {
+    liveToggle.checked = !liveToggle.checked;
+    showToast('Failed to change live stream: ' + error.message, 'error');
+  }
+}
+
+// Stream Target Functions
+let streamTargets = [];
+
+async function loadStreamTargets() {
+  try {
+    const response = await fetch('/api/stream-targets');
+    const result = await response.json();
+    renderStreamTargets(result.targets || []);
+  } catch (error) {
+    console.error('Failed to load stream targets:', error);
+  }
+}
+
+function renderStreamTargets(targets) {
+  streamTargets = targets;
+  const enabled = targets.filter(target => target.enabled);
+  streamTargetsList.hidden = enabled.length === 0;
+
+  streamTargetsList.innerHTML = enabled.map(target => `
+    <div class="stream-target" title="${escapeHtml(target.error || '')}">
+      <span class="stream-state ${target.state}">${target.state}</span>
+      <span>📡 ${escapeHtml(target.name)}</span>
+      <span>${target.protocol.toUpperCase()} · ${escapeHtml(target.videoBitrate)}${target.resolution ? ' · ' + escapeHtml(target.resolution) : ''}</span>
+      ${target.state === 'retrying' && target.attempts > 1 ? `<span>attempt ${target.attempts}</span>` : ''}
+    </div>
+  `).join('');
+}
+
+function handleStreamTargetState(data) {
+  const target = streamTargets.find(t => t.targetId === data.targetId);
+  if (!target) return;
+
+  if (data.state === 'retrying' && target.state === 'live') {
+    showToast(`Stream to ${data.name} dropped: ${data.error}`, 'error');
+  }
+  Object.assign(target, { state: data.state, error: data.error, attempts: data.attempts });
+  renderStreamTargets(streamTargets);
+}
+
 // Preview Control Functions
 async function togglePreview() {
   if (isPreviewEnabled) {
@@ -108,7 +463,9 @@ async function togglePreview() {
 async function startPreview() {
   try {
     const response = await fetch('/api/preview/start', {
-      method: 'POST'
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ device: deviceSelect.value || undefined })
     });
     
     const result = await response.json();
@@ -139,6 +496,57 @@ async function stopPreview() {
   }
 }
 
+// Recording card actions (buttons are re-rendered, so listen on the list)
+async function handleRecordingAction(event) {
+  const button = event.target.closest('button[data-action]');
+  if (!button) return;
+
+  const recordingId = button.dataset.recordingId;
+  if (button.dataset.action === 'retry-upload') {
+    const targetSelect = recordingsList.querySelector(`select[data-recording-id="${recordingId}"]`);
+    await retryUpload(recordingId, targetSelect ? targetSelect.value : '');
+  } else if (button.dataset.action === 'cancel-upload') {
+    await cancelUpload(recordingId);
+  }
+}
+
+async function retryUpload(recordingId, target) {
+  try {
+    const response = await fetch(`/api/recordings/${recordingId}/upload`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(target ? { target } : {})
+    });
+
+    const result = await response.json();
+
+    if (result.success) {
+      showToast(`Upload queued (${result.targets.join(', ')})`, 'success');
+      refreshRecording(recordingId);
+    } else {
+      showToast(result.error, 'error');
+    }
+  } catch (error) {
+    showToast('Failed to queue upload: ' + error.message, 'error');
+  }
+}
+
+async function cancelUpload(recordingId) {
+  try {
+    const response = await fetch(`/api/recordings/${recordingId}/upload`, {
+      method: 'DELETE'
+    });
+
+    const result = await response.json();
+
+    if (!result.success) {
+      showToast(result.error, 'error');
+    }
+  } catch (error) {
+    showToast('Failed to cancel upload: ' + error.message, 'error');
+  }
+}
+
 async function saveNotes() {
   if (!currentRecordingId) {
     showToast('No active recording', 'error');
@@ -166,10 +574,142 @@ async function saveNotes() {
   }
 }
 
+// Recording metadata
+async function loadMetadataFields() {
+  try {
+    const response = await fetch('/api/metadata-fields');
+    const data = await response.json();
+    renderCustomFieldInputs(data.fields);
+  } catch (error) {
+    console.error('Failed to load custom fields:', error);
+  }
+}
+
+// One input per admin-defined field, keeping what was already typed
+function renderCustomFieldInputs(fields) {
+  const values = getCustomFieldValues();
+
+  customFieldInputs.innerHTML = fields.map(field => {
+    const id = `field-${field.key}`;
+    const input = field.type === 'select' ?
+      `<select id="${id}" data-field-key="${field.key}">
+        <option value=""></option>
+        ${field.options.map(option => `<option value="${escapeHtml(option)}">${escapeHtml(option)}</option>`).join('')}
+      </select>` :
+      `<input type="${field.type}" id="${id}" data-field-key="${field.key}">`;
+    return `<label for="${id}">${escapeHtml(field.label)}</label>${input}`;
+  }).join('');
+
+  customFieldInputs.querySelectorAll('[data-field-key]').forEach((input) => {
+    input.value = values[input.dataset.fieldKey] || '';
+  });
+}
+
+// Empty values are sent too; the server leaves them out
+function getCustomFieldValues() {
+  const values = {};
+  customFieldInputs.querySelectorAll('[data-field-key]').forEach((input) => {
+    values[input.dataset.fieldKey] = input.value.trim();
+  });
+  return values;
+}
+
+async function loadTags() {
+  try {
+    const response = await fetch('/api/tags');
+    const tags = await response.json();
+    tagSuggestions.innerHTML = tags.map(tag => `<option value="${escapeHtml(tag)}">`).join('');
+  } catch (error) {
+    console.error('Failed to load tags:', error);
+  }
+}
+
+// Bookmarks
+let markers = [];
+
+// B drops a bookmark, unless the operator is typing
+function handleMarkerHotkey(event) {
+  if (event.key !== 'b' && event.key !== 'B') return;
+  if (event.ctrlKey || event.metaKey || event.altKey) return;
+  if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+  if (!captureState.isCapturing) return;
+  event.preventDefault();
+  addMarker();
+}
+
+async function addMarker() {
+  if (!currentRecordingId) {
+    showToast('No active recording', 'error');
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/recordings/${currentRecordingId}/markers`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        category: markerCategory.value,
+        text: markerText.value.trim(),
+        author: markerAuthor.value.trim()
+      })
+    });
+
+    const result = await response.json();
+
+    if (result.success) {
+      markerText.value = '';
+      showToast(`Bookmark at ${formatTime(result.marker.mediaOffset * 1000)}`, 'success');
+    } else {
+      showToast(result.error, 'error');
+    }
+  } catch (error) {
+    showToast('Failed to add bookmark: ' + error.message, 'error');
+  }
+}
+
+async function loadMarkers() {
+  if (!currentRecordingId) {
+    renderMarkers([]);
+    return;
+  }
+  try {
+    const response = await fetch(`/api/recordings/${currentRecordingId}/markers`);
+    renderMarkers(await response.json());
+  } catch (error) {
+    console.error('Failed to load bookmarks:', error);
+  }
+}
+
+function renderMarkers(list) {
+  markers = list;
+  markersList.innerHTML = markers.map(marker => `
+    <li class="marker ${marker.category}">
+      <span class="marker-time">${formatTime(marker.mediaOffset * 1000)}</span>
+      <span class="marker-category">${escapeHtml(marker.category)}</span>
+      ${escapeHtml(marker.text)}
+      ${marker.author ? `<span class="marker-author">– ${escapeHtml(marker.author)}</span>` : ''}
+    </li>
+  `).join('');
+}
+
+function handleMarkerAdded(data) {
+  if (data.recordingId !== currentRecordingId) return;
+  renderMarkers([...markers, data.marker].sort((a, b) => a.mediaOffset - b.mediaOffset));
+}
+
 // Socket.io Event Handlers
 function handleCaptureState(state) {
   if (state.isCapturing && state.currentRecording) {
     setCapturingState(true, state.currentRecording);
+
+    // Pick up the pause history so the timer shows recorded time only
+    const pauses = state.currentRecording.pauses || [];
+    const openPause = pauses.find(pause => !pause.resumedAt);
+    pausedMs = pauses
+      .filter(pause => pause.resumedAt)
+      .reduce((total, pause) => total + (new Date(pause.resumedAt) - new Date(pause.pausedAt)), 0);
+    setPausedState(Boolean(state.isPaused), openPause ? new Date(openPause.pausedAt) : null);
+    loadMarkers();
   } else {
     setCapturingState(false, null);
   }
@@ -178,24 +718,47 @@ function handleCaptureState(state) {
 function handleCaptureStarted(data) {
   currentRecordingId = data.recordingId;
   startTime = new Date(data.startTime);
+  pausedMs = 0;
   setCapturingState(true, data);
+  setPausedState(false);
   startTimer();
+  renderMarkers([]);
   
   // Resume preview polling if it was enabled before capture
   // (The recording FFmpeg process now generates the preview)
   if (wasPreviewEnabledBeforeCapture) {
-    startPreviewPolling();
+    startPreviewStream();
     noSignal.classList.add('hidden');
   }
   
-  loadRecordings();
+  refreshRecording(data.recordingId);
   showToast('Recording started', 'success');
 }
 
+// The server ends the preview stream whenever a capture run stops, so drop
+// it here and reconnect once frames come again
+function handleCapturePaused(data) {
+  setPausedState(true, new Date(data.pausedAt));
+  stopPreviewStream();
+  showToast('Recording paused', 'info');
+}
+
+function handleCaptureResumed(data) {
+  pausedMs += data.pausedSeconds * 1000;
+  setPausedState(false);
+  if (wasPreviewEnabledBeforeCapture) {
+    startPreviewStream();
+  }
+  showToast('Recording resumed', 'success');
+}
+
 function handleCaptureEnded(data) {
   setCapturingState(false, null);
+  setPausedState(false);
   stopTimer();
+  stopPreviewStream();
   currentRecordingId = null;
+  renderMarkers([]);
   
   // Automatically restart live preview after recording stops
   // This creates a seamless experience - preview continues after recording
@@ -203,30 +766,72 @@ function handleCaptureEnded(data) {
     startPreview();
   }, 500);
   
-  loadRecordings();
-  showToast('Recording completed and uploading...', 'info');
+  refreshRecording(data.recordingId);
+  if (autoStopLabels[data.reason]) {
+    showToast(`Recording stopped automatically: ${autoStopLabels[data.reason]}`, 'info');
+  } else {
+    showToast('Recording completed and uploading...', 'info');
+  }
 }
 
 function handleCaptureError(data) {
   setCapturingState(false, null);
+  setPausedState(false);
   stopTimer();
+  stopPreviewStream();
   showToast('Capture error: ' + data.error, 'error');
 }
 
 function handleUploadComplete(data) {
-  showToast('Video uploaded to cloud storage', 'success');
-  loadRecordings();
+  delete uploadProgress[`${data.recordingId}:${data.target}`];
+  showToast(`Video uploaded to ${destinationLabels[data.target] || data.target}`, 'success');
+  refreshRecording(data.recordingId);
 }
 
 function handleUploadError(data) {
-  showToast('Upload failed: ' + data.error, 'error');
+  delete uploadProgress[`${data.recordingId}:${data.target}`];
+  const label = destinationLabels[data.target] || data.target;
+  if (data.dead === false && data.nextAttemptAt) {
+    const retryAt = new Date(data.nextAttemptAt).toLocaleTimeString();
+    showToast(`Upload to ${label} failed, retrying at ${retryAt}: ${data.error}`, 'error');
+  } else {
+    showToast(`Upload to ${label} failed: ${data.error}`, 'error');
+  }
+  refreshRecording(data.recordingId);
+}
+
+function handleUploadCancelled(data) {
+  delete uploadProgress[`${data.recordingId}:${data.target}`];
+  showToast(`Upload to ${destinationLabels[data.target] || data.target} cancelled`, 'info');
+  refreshRecording(data.recordingId);
+}
+
+function handleUploadProgress(data) {
+  uploadProgress[`${data.recordingId}:${data.target}`] = data;
+
+  // Update the bar in place; only re-render if the destination has none yet
+  const card = recordingsList.querySelector(`.recording-card[data-recording-id="${data.recordingId}"]`);
+  const progressEl = card && card.querySelector(`.upload-progress[data-target="${data.target}"]`);
+  if (progressEl) {
+    progressEl.outerHTML = renderUploadProgress(data);
+  } else if (card) {
+    card.outerHTML = renderRecordingCard(lastRecordings.find(recording => recording.recordingId === data.recordingId));
+  }
+}
+
+function handleDiskStatus(data) {
+  diskStatus.textContent = `💾 ${formatBytes(data.freeBytes)} free · ~${formatMinutes(data.freeMinutes)}`;
+  diskStatus.classList.toggle('low', data.lowSpace);
+  diskStatus.title = data.lowSpace ?
+    `Low disk space: fewer than ${data.minFreeMinutes} minutes of recording left` :
+    'Free disk space and estimated recording time left';
 }
 
 function handlePreviewStarted(data) {
   isPreviewEnabled = true;
   togglePreviewBtn.textContent = 'Disable Preview';
   noSignal.classList.add('hidden');
-  startPreviewPolling();
+  startPreviewStream();
   showToast('Preview started', 'success');
 }
 
@@ -236,7 +841,7 @@ function handlePreviewStopped(data) {
   if (!captureState.isCapturing) {
     isPreviewEnabled = false;
     togglePreviewBtn.textContent = 'Enable Preview';
-    stopPreviewPolling();
+    stopPreviewStream();
     noSignal.classList.remove('hidden');
     if (previewPlayer) {
       previewPlayer.src = '';
@@ -249,7 +854,7 @@ function handlePreviewError(data) {
   showToast('Preview error: ' + data.error, 'error');
   isPreviewEnabled = false;
   togglePreviewBtn.textContent = 'Enable Preview';
-  stopPreviewPolling();
+  stopPreviewStream();
   noSignal.classList.remove('hidden');
 }
 
@@ -257,6 +862,8 @@ function handlePreviewError(data) {
 function setCapturingState(isCapturing, recording) {
   startBtn.disabled = isCapturing;
   stopBtn.disabled = !isCapturing;
+  pauseBtn.disabled = !isCapturing;
+  addMarkerBtn.disabled = !isCapturing;
 
   if (isCapturing) {
     statusIndicator.className = 'status-indicator recording';
@@ -272,12 +879,30 @@ function setCapturingState(isCapturing, recording) {
   captureState.isCapturing = isCapturing;
 }
 
+function setPausedState(isPaused, since = null) {
+  pausedAt = isPaused ? (since || new Date()) : null;
+  pausedIndicator.hidden = !isPaused;
+  pauseBtn.hidden = isPaused;
+  resumeBtn.hidden = !isPaused;
+  resumeBtn.disabled = !isPaused;
+  pauseBtn.disabled = isPaused || !captureState.isCapturing;
+
+  if (isPaused) {
+    statusIndicator.className = 'status-indicator paused';
+    statusText.textContent = 'Paused';
+  } else if (captureState.isCapturing) {
+    statusIndicator.className = 'status-indicator recording';
+    statusText.textContent = 'Recording';
+  }
+}
+
 function startTimer() {
   stopTimer();
   timerInterval = setInterval(() => {
     if (startTime) {
-      const elapsed = Date.now() - startTime;
-      timer.textContent = formatTime(elapsed);
+      // Recorded time only: the timer holds still while paused
+      const now = pausedAt || Date.now();
+      timer.textContent = formatTime(now - startTime - pausedMs);
     }
   }, 1000);
 }
@@ -308,6 +933,27 @@ function loadPreview(recordingId) {
   console.log('Preview disabled during recording');
 }
 
+// The preview is an MJPEG stream; if it fails, fall back to polling single frames
+function startPreviewStream() {
+  if (isPreviewStreaming) return;
+
+  stopPreviewPolling();
+  isPreviewStreaming = true;
+  previewPlayer.onerror = () => {
+    if (!isPreviewStreaming) return;
+    isPreviewStreaming = false;
+    previewPlayer.onerror = null;
+    startPreviewPolling();
+  };
+  previewPlayer.src = `/api/preview/stream?t=${Date.now()}`;
+}
+
+function stopPreviewStream() {
+  isPreviewStreaming = false;
+  previewPlayer.onerror = null;
+  stopPreviewPolling();
+}
+
 function startPreviewPolling() {
   if (previewInterval) {
     clearInterval(previewInterval);
@@ -340,59 +986,338 @@ function stopPreviewPolling() {
   }
 }
 
+// Recordings list
+// The list is paged with the cursor from GET /api/recordings and only reloaded
+// from the top when the filters change. Socket events re-fetch the one
+// recording they are about and patch its card, keeping the pages already loaded.
+const RECORDINGS_PAGE_SIZE = 25;
+let recordingsCursor = null;
+let recordingsTotal = 0;
+let recordingsRequest = 0;
+let isLoadingMoreRecordings = false;
+let searchTimeout = null;
+
+function getRecordingsQuery() {
+  const params = new URLSearchParams();
+  const [sort, order] = sortFilter.value.split(':');
+  params.set('sort', sort);
+  params.set('order', order);
+  if (searchInput.value.trim()) params.set('q', searchInput.value.trim());
+  if (statusFilter.value) params.set('status', statusFilter.value);
+  if (tagFilter.value.trim()) params.set('tag', tagFilter.value.trim());
+  // Whole local days, sent as instants so the server's time zone does not matter
+  if (fromFilter.value) params.set('from', new Date(`${fromFilter.value}T00:00:00`).toISOString());
+  if (toFilter.value) params.set('to', new Date(`${toFilter.value}T23:59:59.999`).toISOString());
+  return params;
+}
+
+function isRecordingsFilterActive() {
+  return Boolean(searchInput.value.trim() || statusFilter.value || tagFilter.value.trim() || fromFilter.value || toFilter.value);
+}
+
+function applyRecordingsFilter() {
+  clearTimeout(searchTimeout);
+  lastRecordings = [];
+  loadRecordings();
+}
+
 async function loadRecordings() {
+  const request = ++recordingsRequest;
+  const params = getRecordingsQuery();
+  params.set('limit', RECORDINGS_PAGE_SIZE);
+
   try {
-    const response = await fetch('/api/recordings');
-    const recordings = await response.json();
-    renderRecordings(recordings);
+    const response = await fetch(`/api/recordings?${params}`);
+    const result = await response.json();
+    // A newer reload (e.g. the next keystroke in the search box) already won
+    if (request !== recordingsRequest) return;
+    if (!response.ok) {
+      showToast(result.error, 'error');
+      return;
+    }
+
+    recordingsCursor = result.nextCursor;
+    recordingsTotal = result.total;
+    recordingsCount.textContent = `(${recordingsTotal})`;
+    renderRecordings(result.recordings);
   } catch (error) {
     console.error('Failed to load recordings:', error);
   }
 }
 
+async function loadMoreRecordings() {
+  if (!recordingsCursor || isLoadingMoreRecordings) return;
+
+  const request = recordingsRequest;
+  const params = getRecordingsQuery();
+  params.set('limit', RECORDINGS_PAGE_SIZE);
+  params.set('cursor', recordingsCursor);
+  isLoadingMoreRecordings = true;
+
+  try {
+    const response = await fetch(`/api/recordings?${params}`);
+    const result = await response.json();
+    if (request !== recordingsRequest || !response.ok) return;
+
+    recordingsCursor = result.nextCursor;
+    renderRecordings([...lastRecordings, ...result.recordings]);
+  } catch (error) {
+    console.error('Failed to load more recordings:', error);
+  } finally {
+    isLoadingMoreRecordings = false;
+  }
+
+  // The observer only fires when the sentinel scrolls into view, so keep
+  // going while a short page leaves it on screen
+  if (recordingsCursor && recordingsSentinel.getBoundingClientRect().top < window.innerHeight) {
+    loadMoreRecordings();
+  }
+}
+
+// A recording that is not listed yet (a new capture or clip) is only added at
+// the top of the default view; with filters or another order it shows up on
+// the next reload
+async function refreshRecording(recordingId) {
+  if (!recordingId) return;
+
+  const request = recordingsRequest;
+  try {
+    const response = await fetch(`/api/recordings/${encodeURIComponent(recordingId)}`);
+    if (!response.ok || request !== recordingsRequest) return;
+    const recording = await response.json();
+
+    const index = lastRecordings.findIndex(item => item.recordingId === recordingId);
+    if (index !== -1) {
+      lastRecordings[index] = recording;
+      const card = recordingsList.querySelector(`.recording-card[data-recording-id="${recordingId}"]`);
+      if (card) card.outerHTML = renderRecordingCard(recording);
+    } else if (!isRecordingsFilterActive() && sortFilter.value === 'createdAt:desc') {
+      recordingsTotal++;
+      recordingsCount.textContent = `(${recordingsTotal})`;
+      renderRecordings([recording, ...lastRecordings]);
+    }
+  } catch (error) {
+    console.error('Failed to refresh recording:', error);
+  }
+}
+
 function renderRecordings(recordings) {
+  lastRecordings = recordings;
+  recordingsSentinel.hidden = !recordingsCursor;
+
   if (recordings.length === 0) {
-    recordingsList.innerHTML = '<p class="no-recordings">No recordings yet</p>';
+    recordingsList.innerHTML = `<p class="no-recordings">${isRecordingsFilterActive() ? 'No recordings match the filters' : 'No recordings yet'}</p>`;
     return;
   }
   
-  recordingsList.innerHTML = recordings.map(recording => {
-    const statusClass = getRecordingStatusClass(recording.status, recording.uploadedToRemote);
-    const statusText = recording.uploadedToRemote ? 'Uploaded' : recording.status;
-    const duration = recording.duration ? formatTime(recording.duration * 1000) : '--:--:--';
-    const startTime = recording.startTime ? new Date(recording.startTime).toLocaleString() : 'Unknown';
-    const remoteLocation = recording.sftpLocation || recording.s3Location;
-    const remoteLabel = recording.sftpLocation ? '🖥️' : recording.s3Location ? '☁️' : '';
-    
-    return `
-      <div class="recording-card">
-        <div class="recording-info">
-          <h3>Recording ${recording.recordingId.slice(0, 8)}...</h3>
-          <div class="recording-meta">
-            <span>📅 ${startTime}</span>
-            <span>⏱️ ${duration}</span>
-            ${remoteLocation ? `<span>${remoteLabel} <a href="${remoteLocation.replace('sftp://', 'http://')}" target="_blank">View File</a></span>` : ''}
-          </div>
-          ${recording.notes ? `<div class="recording-notes">📝 ${escapeHtml(recording.notes)}</div>` : ''}
+  recordingsList.innerHTML = recordings.map(renderRecordingCard).join('');
+}
+
+function renderRecordingCard(recording) {
+  const statusClass = getRecordingStatusClass(recording.status, recording.uploadedToRemote, recording.uploadStatus);
+  const statusText = getRecordingStatusText(recording);
+  // Prefer the probed media duration over the wall clock
+  const seconds = recording.media ? recording.media.duration : recording.duration;
+  const duration = seconds ? formatTime(seconds * 1000) : '--:--:--';
+  const startTime = recording.startTime ? new Date(recording.startTime).toLocaleString() : 'Unknown';
+  const uploadPending = ['queued', 'uploading', 'verifying', 'retrying'].includes(recording.uploadStatus);
+  
+  return `
+    <div class="recording-card" data-recording-id="${recording.recordingId}">
+      ${renderArtwork(recording)}
+      <div class="recording-info">
+        <h3><a href="/recordings/${recording.recordingId}" title="Play back and view details">${recording.title ? escapeHtml(recording.title) : `Recording ${recording.recordingId.slice(0, 8)}...`}</a></h3>
+        ${renderTags(recording.tags)}
+        <div class="recording-meta">
+          <span>📅 ${startTime}</span>
+          ${recording.operator ? `<span title="Operator">👤 ${escapeHtml(recording.operator)}</span>` : ''}
+          ${recording.location ? `<span title="Location">📍 ${escapeHtml(recording.location)}</span>` : ''}
+          <span title="${recording.media && recording.duration ? `Recording time ${formatTime(recording.duration * 1000)}` : ''}">⏱️ ${duration}</span>
+          ${renderMediaInfo(recording.media)}
+          ${recording.segmented ? `<span title="${recording.segmentSeconds}s segments">🧩 ${recording.segmentCount || 0} segment${recording.segmentCount === 1 ? '' : 's'}${getJoinStatusText(recording.joinStatus)}</span>` : ''}
+          ${autoStopLabels[recording.stopReason] ? `<span title="Stopped by an automatic stop rule">🛑 ${autoStopLabels[recording.stopReason]}</span>` : ''}
+          ${recording.parentRecordingId ? `<span title="Cut from recording ${recording.parentRecordingId.slice(0, 8)}...">✂️ Clip ${formatTime(recording.clip.in * 1000)} – ${formatTime(recording.clip.out * 1000)}</span>` : ''}
+          ${recording.scheduleName ? `<span title="Started by a schedule">⏰ ${escapeHtml(recording.scheduleName)}</span>` : ''}
+          ${recording.profileName ? `<span title="${escapeHtml(describeSettings(recording.captureSettings))}">🎚️ ${escapeHtml(recording.profileName)}</span>` : ''}
+          ${renderRemuxStatus(recording)}
+          ${recording.recoveredAt ? `<span title="${escapeHtml(recording.recoveryError || 'Repaired after the server stopped mid-capture')}">🩹 ${recording.status === 'corrupt' ? 'Could not be repaired' : 'Recovered after crash'}</span>` : ''}
+          ${recording.localDeleted ? '<span title="Removed by the retention policy after a verified upload">🗑️ Local copy deleted</span>' : ''}
         </div>
-        <span class="recording-status ${statusClass}">${statusText}</span>
+        ${renderDestinations(recording)}
+        ${recording.notes ? `<div class="recording-notes">📝 ${escapeHtml(recording.notes)}</div>` : ''}
+        ${!['recording', 'clipping'].includes(recording.status) && !recording.localDeleted && !recording.clipError ? `
+          <div class="recording-actions">
+            <a class="btn btn-secondary" href="/recordings/${recording.recordingId}">Details</a>
+            <select data-recording-id="${recording.recordingId}" ${uploadPending ? 'disabled' : ''}>
+              <option value="">All destinations</option>
+              <option value="sftp">SFTP</option>
+              <option value="s3">S3</option>
+              <option value="local">Local</option>
+            </select>
+            <button class="btn btn-secondary" data-action="retry-upload" data-recording-id="${recording.recordingId}" ${uploadPending ? 'disabled' : ''}>Retry upload</button>
+            ${uploadPending ? `<button class="btn btn-secondary btn-cancel" data-action="cancel-upload" data-recording-id="${recording.recordingId}">Cancel</button>` : ''}
+          </div>
+        ` : ''}
       </div>
-    `;
-  }).join('');
+      <span class="recording-status ${statusClass}">${statusText}</span>
+    </div>
+  `;
 }
 
-function getRecordingStatusClass(status, uploadedToS3) {
+function renderTags(tags) {
+  if (!tags || tags.length === 0) return '';
+  return `<div class="recording-tags">${tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}</div>`;
+}
+
+function renderMediaInfo(media) {
+  if (!media) return '';
+
+  const parts = [];
+  if (media.video) {
+    parts.push(media.video.codec.toUpperCase(), `${media.video.width}x${media.video.height}`);
+    if (media.video.frameRate) parts.push(`${media.video.frameRate}fps`);
+  }
+  if (media.bitrate) parts.push(`${(media.bitrate / 1000000).toFixed(1)} Mbps`);
+  if (media.size) parts.push(formatBytes(media.size));
+
+  const warnings = media.warnings || [];
+  return `
+    <span title="${escapeHtml(media.audio ? `Audio: ${media.audio.codec} ${media.audio.sampleRate} Hz, ${media.audio.channels} ch` : 'No audio')}">🎬 ${escapeHtml(parts.join(' · '))}</span>
+    ${warnings.length ? `<span class="media-warning" title="${escapeHtml(warnings.map(w => w.message).join('\n'))}">⚠️ ${warnings.length === 1 ? escapeHtml(warnings[0].message) : `${warnings.length} media warnings`}</span>` : ''}
+  `;
+}
+
+function renderArtwork(recording) {
+  if (!recording.artwork) {
+    return '<div class="recording-poster placeholder">🎞️</div>';
+  }
+
+  const base = `/api/recordings/${recording.recordingId}/artwork`;
+  const generated = new Date(recording.artwork.generatedAt).getTime();
+  return `
+    <a class="recording-poster" href="${base}/contact-sheet?v=${generated}" target="_blank" title="Contact sheet: one frame every ${recording.artwork.interval}s">
+      <img src="${base}/poster?v=${generated}" alt="Poster frame" loading="lazy">
+    </a>
+  `;
+}
+
+function renderDestinations(recording) {
+  const destinations = recording.destinations || [];
+  if (destinations.length === 0) return '';
+
+  return `
+    <div class="recording-destinations">
+      ${destinations.map(dest => {
+        const progress = uploadProgress[`${recording.recordingId}:${dest.target}`];
+        return `
+          <div class="destination">
+            <div class="destination-header">
+              <span class="destination-label">${destinationLabels[dest.target] || escapeHtml(dest.target)}</span>
+              <span class="destination-status ${dest.status}">${dest.status}</span>
+              ${dest.verified ? `<span class="destination-verified" title="Remote copy matches local checksum (${dest.verification?.method || 'verified'})">✔ verified</span>` : ''}
+            </div>
+            ${dest.error && dest.status !== 'uploaded' ? `<div class="destination-error">${escapeHtml(dest.error)}</div>` : ''}
+            ${progress && dest.status === 'uploading' ? renderUploadProgress(progress) : ''}
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `;
+}
+
+function renderUploadProgress(progress) {
+  const rate = progress.rate ? `${formatBytes(progress.rate)}/s` : '--';
+  const eta = progress.eta !== null && progress.eta !== undefined ? `${formatTime(progress.eta * 1000)} left` : '';
+
+  return `
+    <div class="upload-progress" data-target="${progress.target}">
+      <div class="upload-progress-track">
+        <div class="upload-progress-bar" style="width: ${progress.percent}%"></div>
+      </div>
+      <div class="upload-progress-text">
+        ⬆️ ${progress.percent}% · ${formatBytes(progress.bytesTransferred)} / ${formatBytes(progress.totalBytes)} · ${rate} ${eta ? `· ${eta}` : ''}
+      </div>
+    </div>
+  `;
+}
+
+function formatMinutes(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function getRecordingStatusClass(status, uploadedToS3, uploadStatus) {
   if (uploadedToS3) return 'uploaded';
   if (status === 'recording') return 'recording';
-  if (status === 'completed') return 'completed';
-  if (status === 'error') return 'error';
+  if (uploadStatus === 'failed') return 'error';
+  if (status === 'completed' || status === 'recovered') return 'completed';
+  if (status === 'error' || status === 'corrupt') return 'error';
   return '';
 }
 
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+// Stop reasons other than the stop button or a schedule
+const autoStopLabels = {
+  maxDuration: 'Maximum duration reached',
+  black: 'Black screen',
+  silence: 'Silence',
+  signalLoss: 'Signal lost',
+  inputEnded: 'Input ended'
+};
+
+const containerLabels = {
+  fmp4: 'fragmented MP4',
+  mkv: 'MKV'
+};
+
+// Result of the post-capture remux from a crash-tolerant container
+function renderRemuxStatus(recording) {
+  const container = containerLabels[recording.container];
+  if (!container || !recording.remuxStatus) return '';
+
+  if (recording.remuxStatus === 'done') {
+    return `<span title="Remuxed to a standard MP4">📦 ${container} → MP4</span>`;
+  }
+  if (recording.remuxStatus === 'failed') {
+    return `<span title="${escapeHtml(recording.remuxError || '')}">⚠️ Remux failed, kept ${container}</span>`;
+  }
+  return `<span>📦 ${container}${recording.remuxStatus === 'remuxing' ? ' – remuxing…' : ''}</span>`;
+}
+
+function getJoinStatusText(joinStatus) {
+  const labels = {
+    pending: '',
+    joining: ' – joining…',
+    joined: ' – joined',
+    failed: ' – join failed'
+  };
+  return labels[joinStatus] || '';
+}
+
+function getRecordingStatusText(recording) {
+  if (recording.uploadedToRemote) return 'Uploaded';
+  const finished = recording.status === 'completed' || recording.status === 'recovered';
+  if (!finished || !recording.uploadStatus) return recording.status;
+
+  const uploadLabels = {
+    queued: 'Upload queued',
+    uploading: 'Uploading',
+    verifying: 'Verifying upload',
+    retrying: 'Upload retrying',
+    failed: 'Upload failed',
+    cancelled: 'Upload cancelled'
+  };
+  return uploadLabels[recording.uploadStatus] || recording.status;
 }
 
 // Toast Notifications
@@ -0,0 +1,13 @@
+// Shared by the pages' scripts: escapes text for element content and for
+// quoted attribute values alike
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
@@ -0,0 +1,124 @@
+// Live viewer: plays the HLS output of the current capture (or preview)
+const socket = io();
+
+// DOM Elements
+const livePlayer = document.getElementById('livePlayer');
+const liveOffline = document.getElementById('liveOffline');
+const liveOfflineText = document.getElementById('liveOfflineText');
+const liveIndicator = document.getElementById('liveIndicator');
+const liveStatus = document.getElementById('liveStatus');
+const liveNotes = document.getElementById('liveNotes');
+
+// State
+let hls = null;
+let playingUrl = null;
+let currentRecordingId = null;
+let retryTimeout = null;
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+  loadLive();
+
+  socket.on('liveStarted', loadLive);
+  socket.on('liveEnded', loadLive);
+  socket.on('liveSettingsChanged', loadLive);
+  socket.on('captureStarted', loadLive);
+  socket.on('captureEnded', loadLive);
+  socket.on('notesUpdated', handleNotesUpdated);
+  socket.on('connect', loadLive);
+});
+
+async function loadLive() {
+  try {
+    const response = await fetch('/api/live');
+    const state = await response.json();
+    renderLive(state);
+  } catch (error) {
+    console.error('Failed to load live state:', error);
+  }
+}
+
+function renderLive(state) {
+  currentRecordingId = state.recording ? state.recording.recordingId : null;
+  renderNotes(state.recording);
+
+  if (state.active) {
+    const since = new Date(state.active.startedAt).toLocaleTimeString();
+    liveStatus.textContent = state.active.recordingId ? `Recording - live since ${since}` : `Preview - live since ${since}`;
+    liveIndicator.className = `status-indicator ${state.active.recordingId ? 'recording' : 'ready'}`;
+    playStream(state.active.playlistUrl);
+  } else {
+    stopStream();
+    liveStatus.textContent = 'Offline';
+    liveIndicator.className = 'status-indicator';
+    liveOfflineText.textContent = state.enabled ? 'Waiting for the capture to start' : 'Live streaming is off';
+  }
+}
+
+function renderNotes(recording) {
+  if (!recording) {
+    liveNotes.textContent = 'No recording in progress';
+  } else {
+    liveNotes.textContent = recording.notes || 'No notes';
+  }
+}
+
+function handleNotesUpdated(data) {
+  if (data.recordingId === currentRecordingId) {
+    liveNotes.textContent = data.notes || 'No notes';
+  }
+}
+
+function playStream(url) {
+  if (playingUrl === url) return;
+
+  stopStream();
+  playingUrl = url;
+  liveOffline.classList.add('hidden');
+
+  if (window.Hls && Hls.isSupported()) {
+    hls = new Hls({ liveSyncDurationCount: 2 });
+    hls.on(Hls.Events.ERROR, (event, data) => {
+      // The playlist appears a segment after ffmpeg starts; keep trying
+      if (data.fatal) {
+        retryStream(url);
+      }
+    });
+    hls.loadSource(url);
+    hls.attachMedia(livePlayer);
+  } else if (livePlayer.canPlayType('application/vnd.apple.mpegurl')) {
+    // Safari plays HLS natively
+    livePlayer.src = url;
+  } else {
+    liveOfflineText.textContent = 'This browser cannot play HLS';
+    liveOffline.classList.remove('hidden');
+    return;
+  }
+
+  livePlayer.play().catch(() => {
+    // Autoplay blocked; the controls are there to start it
+  });
+}
+
+function retryStream(url) {
+  stopStream();
+  retryTimeout = setTimeout(() => {
+    retryTimeout = null;
+    playStream(url);
+  }, 2000);
+}
+
+function stopStream() {
+  if (retryTimeout) {
+    clearTimeout(retryTimeout);
+    retryTimeout = null;
+  }
+  if (hls) {
+    hls.destroy();
+    hls = null;
+  }
+  livePlayer.removeAttribute('src');
+  livePlayer.load();
+  playingUrl = null;
+  liveOffline.classList.remove('hidden');
+}
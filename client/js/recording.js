@@ -0,0 +1,697 @@
+// Recording detail: plays back the local copy and shows everything stored about it
+const socket = io();
+const recordingId = decodeURIComponent(location.pathname.split('/').pop());
+
+// DOM Elements
+const recordingTitle = document.getElementById('recordingTitle');
+const recordingStatus = document.getElementById('recordingStatus');
+const recordingPlayer = document.getElementById('recordingPlayer');
+const playerMessage = document.getElementById('playerMessage');
+const playerMessageText = document.getElementById('playerMessageText');
+const segmentPicker = document.getElementById('segmentPicker');
+const recordingDetails = document.getElementById('recordingDetails');
+const mediaWarnings = document.getElementById('mediaWarnings');
+const notesHistory = document.getElementById('notesHistory');
+const uploadStatus = document.getElementById('uploadStatus');
+const retryUploadBtn = document.getElementById('retryUploadBtn');
+const clipControls = document.getElementById('clipControls');
+const clipIn = document.getElementById('clipIn');
+const clipOut = document.getElementById('clipOut');
+const markInBtn = document.getElementById('markInBtn');
+const markOutBtn = document.getElementById('markOutBtn');
+const createClipBtn = document.getElementById('createClipBtn');
+const clipsList = document.getElementById('clipsList');
+const markersList = document.getElementById('markersList');
+const markerCategory = document.getElementById('markerCategory');
+const markerText = document.getElementById('markerText');
+const addMarkerBtn = document.getElementById('addMarkerBtn');
+const metadataForm = document.getElementById('metadataForm');
+const titleInput = document.getElementById('titleInput');
+const tagsInput = document.getElementById('tagsInput');
+const operatorInput = document.getElementById('operatorInput');
+const locationInput = document.getElementById('locationInput');
+const customFieldInputs = document.getElementById('customFieldInputs');
+const tagSuggestions = document.getElementById('tagSuggestions');
+
+// State
+let recording = null;
+let mediaUrl = null;
+// Set while one segment of an unjoined recording is playing
+let currentSegment = null;
+let segments = [];
+const uploadProgress = {};
+let metadataFields = [];
+// Set once the metadata form is edited, so reloads do not overwrite the edits
+let isMetadataDirty = false;
+
+const destinationLabels = {
+  sftp: '🖥️ SFTP',
+  s3: '☁️ S3',
+  local: '💾 Local'
+};
+
+const stopReasonLabels = {
+  manual: 'Stop button',
+  schedule: 'Schedule ended',
+  maxDuration: 'Maximum duration reached',
+  black: 'Black screen',
+  silence: 'Silence',
+  signalLoss: 'Signal lost',
+  inputEnded: 'Input ended'
+};
+
+const clipMethodLabels = {
+  copy: 'stream copy',
+  encode: 're-encoded'
+};
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+  loadMetadataFields();
+  loadTags();
+
+  recordingPlayer.addEventListener('error', handlePlayerError);
+  segmentPicker.addEventListener('click', handleSegmentClick);
+  retryUploadBtn.addEventListener('click', retryUpload);
+  markInBtn.addEventListener('click', () => markClipPoint(clipIn));
+  markOutBtn.addEventListener('click', () => markClipPoint(clipOut));
+  createClipBtn.addEventListener('click', createClip);
+  document.addEventListener('keydown', handleClipHotkey);
+  addMarkerBtn.addEventListener('click', addMarker);
+  markersList.addEventListener('click', handleMarkerClick);
+  metadataForm.addEventListener('submit', saveMetadata);
+  metadataForm.addEventListener('input', () => {
+    isMetadataDirty = true;
+  });
+
+  // Anything that changes this recording's document triggers a reload
+  ['captureEnded', 'recordingFinalized', 'notesUpdated', 'artworkCreated', 'localCopyDeleted',
+    'recordingUpdated', 'segmentCompleted', 'uploadQueued', 'uploadComplete', 'uploadError', 'uploadCancelled'].forEach((event) => {
+    socket.on(event, (data) => {
+      if (data.recordingId !== recordingId) return;
+      if (data.target) delete uploadProgress[data.target];
+      loadRecording();
+    });
+  });
+  socket.on('uploadProgress', handleUploadProgress);
+  socket.on('metadataFieldsChanged', (data) => {
+    metadataFields = data.fields;
+    if (recording) renderMetadata();
+  });
+
+  ['markerAdded', 'markerDeleted'].forEach((event) => {
+    socket.on(event, (data) => {
+      if (data.recordingId === recordingId) loadMarkers();
+    });
+  });
+
+  ['clipQueued', 'clipCreated', 'clipError'].forEach((event) => {
+    socket.on(event, (data) => {
+      if (data.recordingId === recordingId) {
+        loadRecording();
+      } else if (data.parentRecordingId === recordingId) {
+        loadClips();
+      }
+    });
+  });
+});
+
+async function loadRecording() {
+  try {
+    const response = await fetch(`/api/recordings/${encodeURIComponent(recordingId)}`);
+    if (!response.ok) {
+      recordingTitle.textContent = 'Recording not found';
+      recordingStatus.textContent = 'Missing';
+      showPlayerMessage('This recording does not exist');
+      return;
+    }
+    recording = await response.json();
+    renderRecording();
+    loadMarkers();
+    loadClips();
+  } catch (error) {
+    console.error('Failed to load recording:', error);
+  }
+}
+
+function renderRecording() {
+  recordingTitle.textContent = recording.title || `Recording ${recording.recordingId.slice(0, 8)}...`;
+  document.title = `${recording.title || recording.filename} - Video Capture`;
+  recordingStatus.textContent = recording.uploadedToRemote ? 'Uploaded' : recording.status;
+  recordingStatus.className = `recording-status ${recording.uploadedToRemote ? 'uploaded' : recording.status}`;
+
+  renderPlayer();
+  renderMetadata();
+  renderDetails();
+  renderNotesHistory();
+  renderUploads();
+}
+
+// The player only loads once per source so a reload does not interrupt playback
+async function renderPlayer() {
+  if (recording.status === 'recording') {
+    return showPlayerMessage('Recording in progress – playback is available once it stops');
+  }
+  if (recording.localDeleted) {
+    return showPlayerMessage('The local copy was deleted after a verified upload');
+  }
+  if (recording.status === 'clipping') {
+    return showPlayerMessage('Cutting the clip…');
+  }
+  if (recording.clipError) {
+    return showPlayerMessage('The clip could not be cut: ' + recording.clipError);
+  }
+
+  const base = `/api/recordings/${encodeURIComponent(recording.recordingId)}/media`;
+  if (recording.segmented && recording.joinStatus !== 'joined') {
+    const response = await fetch(`/api/recordings/${encodeURIComponent(recording.recordingId)}/segments`);
+    segments = (await response.json()).segments;
+    renderSegmentPicker(segments);
+    if (!mediaUrl || !mediaUrl.startsWith(base)) {
+      playMedia(segments.length ? `${base}?segment=${segments[0].index}` : null);
+    }
+  } else {
+    segmentPicker.hidden = true;
+    playMedia(base);
+  }
+}
+
+function renderSegmentPicker(segments) {
+  segmentPicker.hidden = segments.length === 0;
+  segmentPicker.innerHTML = segments.map(segment => `
+    <button class="btn btn-secondary" data-segment="${segment.index}" title="${escapeHtml(segment.filename || '')}">
+      Segment ${segment.index + 1}${segment.duration ? ` · ${formatTime(segment.duration * 1000)}` : ''}
+    </button>
+  `).join('');
+  highlightSegment();
+}
+
+function handleSegmentClick(event) {
+  const button = event.target.closest('button[data-segment]');
+  if (!button) return;
+  playMedia(`/api/recordings/${encodeURIComponent(recording.recordingId)}/media?segment=${button.dataset.segment}`);
+  highlightSegment();
+}
+
+function highlightSegment() {
+  segmentPicker.querySelectorAll('button[data-segment]').forEach((button) => {
+    button.classList.toggle('active', Boolean(mediaUrl) && mediaUrl.endsWith(`segment=${button.dataset.segment}`));
+  });
+}
+
+function playMedia(url) {
+  if (!url) {
+    return showPlayerMessage('No local file to play');
+  }
+  if (url === mediaUrl) return;
+
+  mediaUrl = url;
+  const segmentMatch = /[?&]segment=(\d+)/.exec(url);
+  currentSegment = segmentMatch ? segments.find((segment) => segment.index === Number(segmentMatch[1])) : null;
+  playerMessage.classList.add('hidden');
+  clipControls.hidden = false;
+  updateMarkerButton();
+  if (recording.artwork) {
+    recordingPlayer.poster = `/api/recordings/${encodeURIComponent(recording.recordingId)}/artwork/poster`;
+  }
+  recordingPlayer.src = url;
+}
+
+function handlePlayerError() {
+  if (!mediaUrl) return;
+  // MKV and some codecs are not playable in every browser
+  showPlayerMessage(recording.container === 'mkv' && recording.remuxStatus !== 'done' ?
+    'This browser cannot play MKV files' :
+    'The file could not be played');
+}
+
+function showPlayerMessage(message) {
+  mediaUrl = null;
+  currentSegment = null;
+  clipControls.hidden = true;
+  updateMarkerButton();
+  recordingPlayer.removeAttribute('src');
+  recordingPlayer.load();
+  playerMessageText.textContent = message;
+  playerMessage.classList.remove('hidden');
+}
+
+// Position in the whole recording, counting the segments before the playing one
+function getPlaybackOffset() {
+  return recordingPlayer.currentTime + (currentSegment ? currentSegment.startOffset || 0 : 0);
+}
+
+function markClipPoint(input) {
+  input.value = formatTimestamp(getPlaybackOffset());
+}
+
+// I and O mark the in and out points, as in most editors
+function handleClipHotkey(event) {
+  if (clipControls.hidden || event.target.tagName === 'INPUT' || event.ctrlKey || event.metaKey || event.altKey) return;
+  if (event.key === 'i' || event.key === 'I') {
+    markClipPoint(clipIn);
+  } else if (event.key === 'o' || event.key === 'O') {
+    markClipPoint(clipOut);
+  }
+}
+
+async function createClip() {
+  if (!clipIn.value || !clipOut.value) {
+    showToast('Set an in and an out point first', 'error');
+    return;
+  }
+
+  createClipBtn.disabled = true;
+  try {
+    const response = await fetch(`/api/recordings/${encodeURIComponent(recordingId)}/clips`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ in: clipIn.value.trim(), out: clipOut.value.trim() })
+    });
+    const result = await response.json();
+    if (result.success) {
+      showToast('Clip queued', 'success');
+      clipIn.value = '';
+      clipOut.value = '';
+      loadClips();
+    } else {
+      showToast(result.error, 'error');
+    }
+  } catch (error) {
+    showToast('Failed to create clip: ' + error.message, 'error');
+  } finally {
+    createClipBtn.disabled = false;
+  }
+}
+
+async function loadMarkers() {
+  try {
+    const response = await fetch(`/api/recordings/${encodeURIComponent(recordingId)}/markers`);
+    renderMarkers(await response.json());
+  } catch (error) {
+    console.error('Failed to load bookmarks:', error);
+  }
+}
+
+// During a capture bookmarks go at the live position; afterwards at the playback position
+function updateMarkerButton() {
+  const live = Boolean(recording) && recording.status === 'recording';
+  addMarkerBtn.textContent = live ? '🔖 Bookmark now' : '🔖 Bookmark here';
+  addMarkerBtn.disabled = !live && !mediaUrl;
+}
+
+function renderMarkers(markers) {
+  updateMarkerButton();
+  if (markers.length === 0) {
+    markersList.innerHTML = '<p class="no-recordings">No bookmarks</p>';
+    return;
+  }
+
+  markersList.innerHTML = markers.map(marker => `
+    <li class="marker ${marker.category}">
+      <span class="marker-time" data-offset="${marker.mediaOffset}" title="Jump here">${formatTimestamp(marker.mediaOffset)}</span>
+      <span class="marker-category">${escapeHtml(marker.category)}</span>
+      ${escapeHtml(marker.text)}
+      ${marker.author ? `<span class="marker-author">– ${escapeHtml(marker.author)}</span>` : ''}
+      <button class="marker-delete" data-marker-id="${marker.markerId}" title="Delete bookmark">✕</button>
+    </li>
+  `).join('');
+}
+
+async function handleMarkerClick(event) {
+  const time = event.target.closest('[data-offset]');
+  if (time) {
+    seekTo(Number(time.dataset.offset));
+    return;
+  }
+
+  const button = event.target.closest('button[data-marker-id]');
+  if (!button || !confirm('Delete this bookmark?')) return;
+  try {
+    const response = await fetch(`/api/recordings/${encodeURIComponent(recordingId)}/markers/${button.dataset.markerId}`, {
+      method: 'DELETE'
+    });
+    const result = await response.json();
+    if (!result.success) {
+      showToast(result.error, 'error');
+    }
+  } catch (error) {
+    showToast('Failed to delete bookmark: ' + error.message, 'error');
+  }
+}
+
+async function addMarker() {
+  const body = { category: markerCategory.value, text: markerText.value.trim() };
+  if (recording.status !== 'recording') {
+    body.offset = getPlaybackOffset().toFixed(3);
+  }
+
+  try {
+    const response = await fetch(`/api/recordings/${encodeURIComponent(recordingId)}/markers`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const result = await response.json();
+    if (result.success) {
+      markerText.value = '';
+      showToast(`Bookmark at ${formatTimestamp(result.marker.mediaOffset)}`, 'success');
+    } else {
+      showToast(result.error, 'error');
+    }
+  } catch (error) {
+    showToast('Failed to add bookmark: ' + error.message, 'error');
+  }
+}
+
+// Jump to a position in the whole recording, switching segment if needed
+function seekTo(offset) {
+  if (!mediaUrl) return;
+
+  if (segments.length > 0 && recording.segmented && recording.joinStatus !== 'joined') {
+    const segment = segments.find((s) => offset >= s.startOffset && offset < s.endOffset) || segments[segments.length - 1];
+    if (segment !== currentSegment) {
+      playMedia(`/api/recordings/${encodeURIComponent(recording.recordingId)}/media?segment=${segment.index}`);
+      highlightSegment();
+      recordingPlayer.addEventListener('loadedmetadata', () => {
+        recordingPlayer.currentTime = Math.max(0, offset - segment.startOffset);
+      }, { once: true });
+      return;
+    }
+    recordingPlayer.currentTime = Math.max(0, offset - segment.startOffset);
+    return;
+  }
+  recordingPlayer.currentTime = offset;
+}
+
+async function loadClips() {
+  try {
+    const response = await fetch(`/api/recordings/${encodeURIComponent(recordingId)}/clips`);
+    renderClips(await response.json());
+  } catch (error) {
+    console.error('Failed to load clips:', error);
+  }
+}
+
+function renderClips(clips) {
+  if (clips.length === 0) {
+    clipsList.innerHTML = '<p class="no-recordings">No clips yet</p>';
+    return;
+  }
+
+  clipsList.innerHTML = clips.map(clip => `
+    <div class="notes-entry">
+      <a href="/recordings/${clip.recordingId}">✂️ ${formatTimestamp(clip.clip.in)} – ${formatTimestamp(clip.clip.out)}</a>
+      <span class="notes-entry-time">
+        · ${escapeHtml(clip.uploadedToRemote ? 'uploaded' : clip.status)}${clip.clip.method ? ` · ${clipMethodLabels[clip.clip.method]}` : ''}
+      </span>
+      ${clip.clipError ? `<div class="destination-error">${escapeHtml(clip.clipError)}</div>` : ''}
+    </div>
+  `).join('');
+}
+
+// Metadata
+// The fields are loaded before the recording so its form has every input
+async function loadMetadataFields() {
+  try {
+    const response = await fetch('/api/metadata-fields');
+    const data = await response.json();
+    metadataFields = data.fields;
+  } catch (error) {
+    console.error('Failed to load custom fields:', error);
+  }
+  loadRecording();
+}
+
+async function loadTags() {
+  try {
+    const response = await fetch('/api/tags');
+    const tags = await response.json();
+    tagSuggestions.innerHTML = tags.map(tag => `<option value="${escapeHtml(tag)}">`).join('');
+  } catch (error) {
+    console.error('Failed to load tags:', error);
+  }
+}
+
+function renderMetadata() {
+  if (isMetadataDirty) return;
+
+  titleInput.value = recording.title || '';
+  tagsInput.value = (recording.tags || []).join(', ');
+  operatorInput.value = recording.operator || '';
+  locationInput.value = recording.location || '';
+
+  const values = recording.customFields || {};
+  customFieldInputs.innerHTML = metadataFields.map(field => {
+    const id = `field-${field.key}`;
+    const input = field.type === 'select' ?
+      `<select id="${id}" data-field-key="${field.key}">
+        <option value=""></option>
+        ${field.options.map(option => `<option value="${escapeHtml(option)}">${escapeHtml(option)}</option>`).join('')}
+      </select>` :
+      `<input type="${field.type}" id="${id}" data-field-key="${field.key}">`;
+    return `<label for="${id}">${escapeHtml(field.label)}</label>${input}`;
+  }).join('');
+
+  customFieldInputs.querySelectorAll('[data-field-key]').forEach((input) => {
+    const value = values[input.dataset.fieldKey];
+    if (value === undefined) return;
+    // Date fields are stored as dates; the input wants YYYY-MM-DD
+    input.value = input.type === 'date' ? new Date(value).toISOString().slice(0, 10) : value;
+  });
+}
+
+async function saveMetadata(event) {
+  event.preventDefault();
+
+  // An empty custom field removes its value
+  const customFields = {};
+  customFieldInputs.querySelectorAll('[data-field-key]').forEach((input) => {
+    customFields[input.dataset.fieldKey] = input.value.trim();
+  });
+
+  try {
+    const response = await fetch(`/api/recordings/${encodeURIComponent(recordingId)}/metadata`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        title: titleInput.value,
+        tags: tagsInput.value,
+        operator: operatorInput.value,
+        location: locationInput.value,
+        customFields
+      })
+    });
+    const result = await response.json();
+    if (result.success) {
+      isMetadataDirty = false;
+      showToast('Metadata saved', 'success');
+      loadRecording();
+      loadTags();
+    } else {
+      showToast(result.error, 'error');
+    }
+  } catch (error) {
+    showToast('Failed to save metadata: ' + error.message, 'error');
+  }
+}
+
+function renderDetails() {
+  const media = recording.media;
+  const rows = [
+    ['Recording ID', recording.recordingId],
+    ['File', recording.filename],
+    ['Started', formatDate(recording.startTime)],
+    ['Ended', formatDate(recording.endTime)],
+    ['Recording time', recording.duration ? formatTime(recording.duration * 1000) : null],
+    ['Media duration', media ? formatTime(media.duration * 1000) : null],
+    ['Stopped by', stopReasonLabels[recording.stopReason] || recording.stopReason],
+    ['Schedule', recording.scheduleName],
+    ['Device', recording.device],
+    ['Profile', recording.profileName],
+    ['Capture settings', describeSettings(recording.captureSettings)],
+    ['Video', media && media.video ?
+      `${media.video.codec.toUpperCase()}${media.video.profile ? ` (${media.video.profile})` : ''} · ${media.video.width}x${media.video.height}` +
+      `${media.video.frameRate ? ` · ${media.video.frameRate} fps` : ''}${media.video.pixelFormat ? ` · ${media.video.pixelFormat}` : ''}` : null],
+    ['Audio', media ? (media.audio ? `${media.audio.codec} · ${media.audio.sampleRate} Hz · ${media.audio.channels} ch` : 'None') : null],
+    ['Container', media ? media.container : recording.container],
+    ['Size', media ? formatBytes(media.size) : null],
+    ['Bitrate', media && media.bitrate ? `${(media.bitrate / 1000000).toFixed(1)} Mbps` : null],
+    ['Segments', recording.segmented ? `${recording.segmentCount || 0} × ${recording.segmentSeconds}s${recording.joinStatus ? ` (join ${recording.joinStatus})` : ''}` : null],
+    ['Remux', recording.remuxStatus ? `${recording.remuxStatus}${recording.remuxError ? `: ${recording.remuxError}` : ''}` : null],
+    ['Recovered', recording.recoveredAt ? `${formatDate(recording.recoveredAt)}${recording.recoveryError ? `: ${recording.recoveryError}` : ''}` : null],
+    ['SHA-256', recording.sha256],
+    ['Local copy', recording.localDeleted ? `Deleted ${formatDate(recording.localDeletedAt)} (${recording.localDeleteReason})` : recording.filepath]
+  ];
+
+  recordingDetails.innerHTML = rows
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(String(value))}</dd>`)
+    .join('');
+
+  if (recording.parentRecordingId) {
+    recordingDetails.innerHTML += `
+      <dt>Clip of</dt>
+      <dd>
+        <a href="/recordings/${recording.parentRecordingId}">Recording ${recording.parentRecordingId.slice(0, 8)}...</a>
+        ${formatTimestamp(recording.clip.in)} – ${formatTimestamp(recording.clip.out)}${recording.clip.method ? ` (${clipMethodLabels[recording.clip.method]})` : ''}
+      </dd>
+    `;
+  }
+
+  if (recording.chapters) {
+    const vtt = `/api/recordings/${encodeURIComponent(recording.recordingId)}/chapters.vtt`;
+    recordingDetails.innerHTML += `
+      <dt>Chapters</dt>
+      <dd>${recording.chapters.count}${recording.chapters.embedded ? ' in the file' : ''} · <a href="${vtt}" target="_blank">WebVTT</a></dd>
+    `;
+  }
+  if (recording.chaptersError) {
+    recordingDetails.innerHTML += `<dt>Chapters</dt><dd class="media-warning">${escapeHtml(recording.chaptersError)}</dd>`;
+  }
+
+  if (recording.artwork) {
+    const sheet = `/api/recordings/${encodeURIComponent(recording.recordingId)}/artwork/contact-sheet`;
+    recordingDetails.innerHTML += `<dt>Contact sheet</dt><dd><a href="${sheet}" target="_blank">One frame every ${recording.artwork.interval}s</a></dd>`;
+  }
+
+  const warnings = (media && media.warnings) || [];
+  mediaWarnings.innerHTML = [
+    ...warnings.map(warning => `<div class="media-warning">⚠️ ${escapeHtml(warning.message)}</div>`),
+    recording.mediaError ? `<div class="media-warning">⚠️ Probe failed: ${escapeHtml(recording.mediaError)}</div>` : ''
+  ].join('');
+}
+
+function renderNotesHistory() {
+  // Recordings from before the history was kept only have the latest notes
+  const history = recording.notesHistory && recording.notesHistory.length ?
+    recording.notesHistory :
+    (recording.notes ? [{ notes: recording.notes, savedAt: recording.updatedAt }] : []);
+
+  if (history.length === 0) {
+    notesHistory.innerHTML = '<p class="no-recordings">No notes</p>';
+    return;
+  }
+
+  notesHistory.innerHTML = history.slice().reverse().map((entry, i) => `
+    <div class="notes-entry ${i === 0 ? 'current' : ''}">
+      <div class="notes-entry-time">${formatDate(entry.savedAt)}${i === 0 ? ' · current' : ''}</div>
+      <div class="recording-notes">${entry.notes ? escapeHtml(entry.notes) : '<em>Cleared</em>'}</div>
+    </div>
+  `).join('');
+}
+
+function renderUploads() {
+  const destinations = recording.destinations || [];
+  const uploadPending = ['queued', 'uploading', 'verifying', 'retrying'].includes(recording.uploadStatus);
+  retryUploadBtn.hidden = ['recording', 'clipping'].includes(recording.status) || recording.localDeleted || Boolean(recording.clipError);
+  retryUploadBtn.disabled = uploadPending;
+
+  if (destinations.length === 0) {
+    uploadStatus.innerHTML = `<p class="no-recordings">${recording.uploadStatus ? `Upload ${recording.uploadStatus}` : 'Not uploaded yet'}</p>`;
+    return;
+  }
+
+  uploadStatus.innerHTML = `
+    <div class="recording-destinations">
+      ${destinations.map(dest => `
+        <div class="destination">
+          <div class="destination-header">
+            <span class="destination-label">${destinationLabels[dest.target] || escapeHtml(dest.target)}</span>
+            <span class="destination-status ${dest.status}">${dest.status}</span>
+            ${dest.verified ? `<span class="destination-verified" title="Remote copy matches local checksum (${dest.verification?.method || 'verified'})">✔ verified</span>` : ''}
+            ${dest.uploadedAt ? `<span class="notes-entry-time">${formatDate(dest.uploadedAt)}</span>` : ''}
+          </div>
+          ${dest.location ? `<div class="destination-location">${escapeHtml(dest.location)}</div>` : ''}
+          ${dest.error && dest.status !== 'uploaded' ? `<div class="destination-error">${escapeHtml(dest.error)}</div>` : ''}
+          ${uploadProgress[dest.target] && dest.status === 'uploading' ? renderUploadProgress(uploadProgress[dest.target]) : ''}
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+function handleUploadProgress(data) {
+  if (data.recordingId !== recordingId) return;
+  uploadProgress[data.target] = data;
+  if (recording) renderUploads();
+}
+
+function renderUploadProgress(progress) {
+  const rate = progress.rate ? `${formatBytes(progress.rate)}/s` : '--';
+  return `
+    <div class="upload-progress" data-target="${progress.target}">
+      <div class="upload-progress-track">
+        <div class="upload-progress-bar" style="width: ${progress.percent}%"></div>
+      </div>
+      <div class="upload-progress-text">
+        ⬆️ ${progress.percent}% · ${formatBytes(progress.bytesTransferred)} / ${formatBytes(progress.totalBytes)} · ${rate}
+      </div>
+    </div>
+  `;
+}
+
+async function retryUpload() {
+  try {
+    const response = await fetch(`/api/recordings/${encodeURIComponent(recordingId)}/upload`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{}'
+    });
+    const result = await response.json();
+    if (result.success) {
+      showToast(`Upload queued (${result.targets.join(', ')})`, 'success');
+      loadRecording();
+    } else {
+      showToast(result.error, 'error');
+    }
+  } catch (error) {
+    showToast('Failed to queue upload: ' + error.message, 'error');
+  }
+}
+
+function describeSettings(settings) {
+  if (!settings) return null;
+  const parts = [settings.resolution, settings.framerate && `${settings.framerate}fps`, settings.videoBitrate, settings.preset,
+    settings.videoCodec === 'libx265' ? 'HEVC' : null];
+  return parts.filter(Boolean).join(' · ');
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : null;
+}
+
+function formatTime(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return [hours, minutes, seconds].map((part) => part.toString().padStart(2, '0')).join(':');
+}
+
+// Like formatTime, with tenths of a second for clip points
+function formatTimestamp(seconds) {
+  // Round first so 59.97 becomes 00:01:00.0, not 00:00:59.0
+  const rounded = Math.round(seconds * 10);
+  return `${formatTime(Math.floor(rounded / 10) * 1000)}.${rounded % 10}`;
+}
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function showToast(message, type = 'info') {
+  const container = document.querySelector('.toast-container') || document.body.appendChild(Object.assign(document.createElement('div'), { className: 'toast-container' }));
+  const toast = document.createElement('div');
+  toast.className = `toast ${type}`;
+  toast.textContent = message;
+  container.appendChild(toast);
+  setTimeout(() => toast.remove(), 3000);
+}
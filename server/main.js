@@ -4,6 +4,10 @@ const { Server } = require('socket.io');
 const { MongoClient, ObjectId } = require('mongodb');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { PassThrough, Writable } = require('stream');
 const { v4: uuidv4 } = require('uuid');
 const ffmpeg = require('fluent-ffmpeg');
 const SftpClient = require('ssh2-sftp-client');
@@ -46,8 +50,92 @@ const VIDEO_CAPTURE_DEVICE = process.env.VIDEO_CAPTURE_DEVICE || '/dev/video0';
 const VIDEO_RESOLUTION = process.env.VIDEO_RESOLUTION || '1920x1080';
 const VIDEO_FRAMERATE = process.env.VIDEO_FRAMERATE || 30;
 const VIDEO_BITRATE = process.env.VIDEO_BITRATE || '5000k';
+const VIDEO_CODEC = process.env.VIDEO_CODEC || 'libx264';
+const VIDEO_PRESET = process.env.VIDEO_PRESET || 'ultrafast';
+const VIDEO_CRF = parseInt(process.env.VIDEO_CRF) || 23;
 const UPLOAD_METHOD = process.env.UPLOAD_METHOD || 'sftp';
 
+// Segmented recording: cut the capture into files of this many seconds so a
+// crash only loses the segment being written (0 = one file per recording)
+const SEGMENT_DURATION_SECONDS = parseInt(process.env.SEGMENT_DURATION_SECONDS) || 0;
+// Join the segments into a single MP4 once the capture ends
+const SEGMENT_JOIN = process.env.SEGMENT_JOIN === 'true';
+// Container written during capture: 'mp4', or 'fmp4' / 'mkv', which stay
+// playable up to the last fragment if the capture is cut off
+const RECORDING_CONTAINER = process.env.RECORDING_CONTAINER || 'mp4';
+
+// HLS live output for remote viewers. Off by default; it can be switched on
+// from the UI, and costs an extra encode only while it is on.
+const LIVE_HLS_ENABLED = process.env.LIVE_HLS_ENABLED === 'true';
+const LIVE_HLS_DIR = process.env.LIVE_HLS_DIR || path.join(os.tmpdir(), 'vid_cap_live');
+const LIVE_HLS_RESOLUTION = process.env.LIVE_HLS_RESOLUTION || '1280x720';
+const LIVE_HLS_BITRATE = process.env.LIVE_HLS_BITRATE || '2000k';
+const LIVE_HLS_SEGMENT_SECONDS = parseInt(process.env.LIVE_HLS_SEGMENT_SECONDS) || 2;
+const LIVE_HLS_LIST_SIZE = parseInt(process.env.LIVE_HLS_LIST_SIZE) || 6;
+
+// Restreaming: each stream target is encoded by the capture process and handed
+// to a relay process over localhost UDP, starting at this port
+const STREAM_RELAY_BASE_PORT = parseInt(process.env.STREAM_RELAY_BASE_PORT) || 10500;
+const STREAM_RETRY_MS = parseInt(process.env.STREAM_RETRY_MS) || 5000;
+
+// Poster frame and contact sheet made for each finalized recording: one
+// sheet tile every THUMBNAIL_INTERVAL_SECONDS, CONTACT_SHEET_COLUMNS wide
+const THUMBNAIL_INTERVAL_SECONDS = parseInt(process.env.THUMBNAIL_INTERVAL_SECONDS) || 60;
+const CONTACT_SHEET_COLUMNS = parseInt(process.env.CONTACT_SHEET_COLUMNS) || 4;
+
+// Clips are stream-copied when a keyframe lies this close to the in point
+// (the clip then starts on that keyframe); otherwise they are re-encoded
+const CLIP_KEYFRAME_TOLERANCE_SECONDS = parseFloat(process.env.CLIP_KEYFRAME_TOLERANCE_SECONDS ?? '0.5') || 0;
+
+// Automatic stop rules, checked while a capture runs (0 = rule off)
+const AUTO_STOP_RULES = {
+  maxMinutes: parseFloat(process.env.AUTO_STOP_MAX_MINUTES) || 0,
+  blackSeconds: parseFloat(process.env.AUTO_STOP_BLACK_SECONDS) || 0,
+  silenceSeconds: parseFloat(process.env.AUTO_STOP_SILENCE_SECONDS) || 0,
+  silenceNoise: process.env.AUTO_STOP_SILENCE_NOISE || '-50dB',
+  signalLossSeconds: parseFloat(process.env.AUTO_STOP_SIGNAL_LOSS_SECONDS) || 0
+};
+
+// Audio capture configuration
+// AUDIO_INPUT_FORMAT is the ffmpeg input format: 'alsa', 'pulse', or 'lavfi'
+// for a generated stand-in (e.g. AUDIO_DEVICE=sine=frequency=1000)
+const AUDIO_CONFIG = {
+  enabled: Boolean(process.env.AUDIO_DEVICE && process.env.AUDIO_DEVICE.trim()) && process.env.AUDIO_ENABLED !== 'false',
+  format: process.env.AUDIO_INPUT_FORMAT || 'alsa',
+  device: (process.env.AUDIO_DEVICE || '').trim(),
+  sampleRate: parseInt(process.env.AUDIO_SAMPLE_RATE) || 48000,
+  channels: parseInt(process.env.AUDIO_CHANNELS) || 2,
+  bitrate: process.env.AUDIO_BITRATE || '128k'
+};
+const UPLOAD_TARGETS = ['sftp', 's3', 'local'];
+// Every recording is sent to each destination, e.g. UPLOAD_DESTINATIONS=sftp,s3
+const UPLOAD_DESTINATIONS = (process.env.UPLOAD_DESTINATIONS || UPLOAD_METHOD)
+  .split(',')
+  .map((target) => target.trim())
+  .filter((target) => UPLOAD_TARGETS.includes(target));
+
+// Upload queue configuration
+const UPLOAD_MAX_ATTEMPTS = parseInt(process.env.UPLOAD_MAX_ATTEMPTS) || 8;
+const UPLOAD_RETRY_BASE_MS = parseInt(process.env.UPLOAD_RETRY_BASE_MS) || 30000;
+const UPLOAD_RETRY_MAX_MS = parseInt(process.env.UPLOAD_RETRY_MAX_MS) || 30 * 60 * 1000;
+const UPLOAD_QUEUE_POLL_MS = parseInt(process.env.UPLOAD_QUEUE_POLL_MS) || 15000;
+const UPLOAD_PROGRESS_INTERVAL_MS = 500;
+
+// S3 multipart upload configuration (S3 requires parts of at least 5 MB)
+const S3_PART_SIZE = Math.max(parseInt(process.env.S3_PART_SIZE_MB) || 16, 5) * 1024 * 1024;
+const S3_UPLOAD_CONCURRENCY = Math.max(parseInt(process.env.S3_UPLOAD_CONCURRENCY) || 4, 1);
+const S3_MAX_PARTS = 10000;
+
+// Storage management configuration
+// Local copies are only ever deleted after every destination has a verified upload
+const RETENTION_DAYS = parseFloat(process.env.RETENTION_DAYS) || 0;
+const RETENTION_MAX_BYTES = (parseFloat(process.env.RETENTION_MAX_GB) || 0) * 1024 * 1024 * 1024;
+const RETENTION_SWEEP_INTERVAL_MS = parseInt(process.env.RETENTION_SWEEP_INTERVAL_MS) || 10 * 60 * 1000;
+const DISK_STATUS_INTERVAL_MS = parseInt(process.env.DISK_STATUS_INTERVAL_MS) || 30000;
+const MIN_FREE_RECORDING_MINUTES = parseInt(process.env.MIN_FREE_RECORDING_MINUTES) || 15;
+// 'refuse' blocks new captures when space is low, 'warn' only warns
+const DISK_GUARD_MODE = process.env.DISK_GUARD_MODE || 'refuse';
+
 // SFTP Configuration
 const SFTP_CONFIG = {
   host: process.env.SFTP_HOST || 'localhost',
@@ -59,6 +147,10 @@ const SFTP_CONFIG = {
   uploadDir: process.env.SFTP_UPLOAD_DIR || '/home/tom/videos'
 };
 
+// How to check the remote copy: 'command' runs sha256sum over SSH,
+// 'download' re-reads the file, 'auto' tries the command first
+const SFTP_VERIFY_METHOD = process.env.SFTP_VERIFY_METHOD || 'auto';
+
 // Remove password from console logs for security
 const SFTP_CONFIG_SAFE = {
   ...SFTP_CONFIG,
@@ -71,10 +163,24 @@ if (!fs.existsSync(UPLOADS_DIR)) {
   fs.mkdirSync(UPLOADS_DIR, { recursive: true });
 }
 
+// Live playlists from a previous run are stale. Only the per-output
+// directories are cleared; anything else in LIVE_HLS_DIR is left alone.
+if (fs.existsSync(LIVE_HLS_DIR)) {
+  fs.readdirSync(LIVE_HLS_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .forEach((entry) => clearLiveOutputDir(path.join(LIVE_HLS_DIR, entry.name)));
+}
+
 // MongoDB connection
 let db;
 let videosCollection;
 let notesCollection;
+let uploadJobsCollection;
+let profilesCollection;
+let segmentsCollection;
+let schedulesCollection;
+let streamTargetsCollection;
+let metadataFieldsCollection;
 
 async function connectToMongoDB() {
   try {
@@ -83,9 +189,53 @@ async function connectToMongoDB() {
     db = client.db(MONGODB_DATABASE);
     videosCollection = db.collection('videos');
     notesCollection = db.collection('notes');
+    uploadJobsCollection = db.collection('uploadJobs');
+    profilesCollection = db.collection('profiles');
+    segmentsCollection = db.collection('segments');
+    schedulesCollection = db.collection('schedules');
+    streamTargetsCollection = db.collection('streamTargets');
+    metadataFieldsCollection = db.collection('metadataFields');
     console.log('Connected to MongoDB');
   } catch (error) {
     console.error('MongoDB connection error:', error);
+    return;
+  }
+  await createIndexes();
+}
+
+// Each index is built on its own, so one that conflicts with an older
+// database (e.g. a text index with other fields) only costs that index
+async function createIndexes() {
+  const indexes = [
+    [videosCollection, { parentRecordingId: 1 }, { sparse: true }],
+    // One index per sort order of the recordings list, with _id for the cursor
+    [videosCollection, { createdAt: -1, _id: -1 }],
+    [videosCollection, { startTime: -1, _id: -1 }],
+    [videosCollection, { duration: -1, _id: -1 }],
+    [videosCollection, { title: 1, _id: 1 }],
+    [videosCollection, { status: 1, createdAt: -1 }],
+    [videosCollection, { tags: 1, createdAt: -1 }],
+    [videosCollection, { title: 'text', notes: 'text', tags: 'text', operator: 'text', location: 'text' }, { name: 'recordings_text' }],
+    [notesCollection, { markerId: 1 }, { unique: true }],
+    [notesCollection, { recordingId: 1, mediaOffset: 1 }],
+    [uploadJobsCollection, { status: 1, nextAttemptAt: 1 }],
+    [uploadJobsCollection, { recordingId: 1 }],
+    [profilesCollection, { profileId: 1 }, { unique: true }],
+    [profilesCollection, { name: 1 }, { unique: true }],
+    [segmentsCollection, { recordingId: 1, index: 1 }, { unique: true }],
+    [schedulesCollection, { scheduleId: 1 }, { unique: true }],
+    [schedulesCollection, { enabled: 1, nextRunAt: 1 }],
+    [streamTargetsCollection, { targetId: 1 }, { unique: true }],
+    [streamTargetsCollection, { name: 1 }, { unique: true }],
+    [metadataFieldsCollection, { key: 1 }, { unique: true }]
+  ];
+
+  for (const [collection, keys, options = {}] of indexes) {
+    try {
+      await collection.createIndex(keys, options);
+    } catch (err) {
+      logError(`Index ${JSON.stringify(keys)} on ${collection.collectionName} not created`, err);
+    }
   }
 }
 
@@ -94,22 +244,49 @@ let captureState = {
   isCapturing: false,
   isPreviewing: false,
   currentRecording: null,
+  currentDevice: null,
+  previewDevice: null,
   ffmpegProcess: null,
-  previewProcess: null
+  previewProcess: null,
+  isPaused: false,
+  autoStopMonitor: null
 };
 
 // AWS S3 configuration
 const AWS = require('aws-sdk');
-const s3 = new AWS.S3({
+const s3Config = {
   accessKeyId: process.env.AWS_ACCESS_KEY_ID,
   secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  region: process.env.AWS_REGION || 'us-east-1'
-});
+  region: process.env.AWS_REGION || 'us-east-1',
+  signatureVersion: 'v4'
+};
+// Custom endpoint for S3-compatible stores such as MinIO
+if (process.env.AWS_S3_ENDPOINT) {
+  s3Config.endpoint = process.env.AWS_S3_ENDPOINT;
+  s3Config.s3ForcePathStyle = process.env.AWS_S3_FORCE_PATH_STYLE !== 'false';
+}
+const s3 = new AWS.S3(s3Config);
 
 // Middleware
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../client')));
-app.use('/uploads', express.static(UPLOADS_DIR));
+// The viewer page's player, served from node_modules so /watch works without internet
+app.use('/vendor/hls', express.static(path.dirname(require.resolve('hls.js/dist/hls.min.js'))));
+// Only the output being served: one that was switched off keeps writing
+// until its ffmpeg stops, and LIVE_HLS_DIR may hold other files
+app.use('/live', (req, res, next) => {
+  if (!liveState.active || !req.path.startsWith(`/${liveState.active.id}/`)) {
+    return res.sendStatus(404);
+  }
+  next();
+}, express.static(LIVE_HLS_DIR, {
+  // The playlist changes every segment; segments themselves never do
+  setHeaders: (res, filePath) => {
+    if (filePath.endsWith('.m3u8')) {
+      res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    }
+  }
+}));
 
 // Socket.io connection handling
 io.on('connection', (socket) => {
@@ -119,9 +296,19 @@ io.on('connection', (socket) => {
   socket.emit('captureState', {
     isCapturing: captureState.isCapturing,
     isPreviewing: captureState.isPreviewing,
+    isPaused: captureState.isPaused,
     currentRecording: captureState.currentRecording
   });
 
+  if (storageState.lastStatus) {
+    socket.emit('diskStatus', storageState.lastStatus);
+  }
+
+  // Let a freshly loaded page pick up a transfer that is already running
+  if (uploadQueueState.activeJob?.progress) {
+    socket.emit('uploadProgress', uploadQueueState.activeJob.progress);
+  }
+
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
   });
@@ -158,553 +345,5401 @@ async function checkDeviceAccess(devicePath, maxRetries = 3) {
   });
 }
 
-// Start preview
-async function startPreview() {
-  if (captureState.isPreviewing || captureState.isCapturing) {
-    throw new Error('Already previewing or capturing');
-  }
+// Capture device discovery
+// Device numbers change between reboots, so the stable /dev/v4l/by-id links
+// are reported alongside each /dev/videoN node.
+const V4L_BY_ID_DIR = '/dev/v4l/by-id';
+const CAPTURE_DEVICE_PATTERN = /^\/dev\/(video\d+|v4l\/by-(id|path)\/[\w.:-]+)$/;
 
-  const [width, height] = PREVIEW_RESOLUTION.split('x').map(Number);
-  const previewDir = path.join(UPLOADS_DIR, 'live_preview');
-  
-  if (!fs.existsSync(previewDir)) {
-    fs.mkdirSync(previewDir, { recursive: true });
+function runCommand(file, args, timeout = 5000) {
+  return new Promise((resolve) => {
+    execFile(file, args, { timeout }, (err, stdout, stderr) => {
+      resolve({ error: err, stdout: stdout || '', stderr: stderr || '' });
+    });
+  });
+}
+
+// Use the requested device or fall back to VIDEO_CAPTURE_DEVICE
+function resolveCaptureDevice(device) {
+  if (!device) {
+    return VIDEO_CAPTURE_DEVICE;
   }
-  
-  const previewPath = path.join(previewDir, 'preview.jpg');
-  
-  // Flag to track intentional stop
-  captureState.previewStopping = false;
+  if (!CAPTURE_DEVICE_PATTERN.test(device)) {
+    throw new Error('Invalid capture device: ' + device);
+  }
+  return device;
+}
 
-  captureState.previewProcess = ffmpeg()
-    .input(VIDEO_CAPTURE_DEVICE)
-    .inputOptions([
-      '-framerate', VIDEO_FRAMERATE,
-      '-video_size', VIDEO_RESOLUTION
-    ])
-    .outputOptions([
-      '-vf', `scale=${width}:${height}`,
-      '-q:v', '5',
-      '-update', '1'
-    ])
-    .output(previewPath)
-    .on('start', () => {
-      log('Preview started');
-      captureState.isPreviewing = true;
-      io.emit('previewStarted', {});
-    })
-    .on('error', (err) => {
-      // Only emit error if not intentionally stopping
-      if (!captureState.previewStopping) {
-        log('Preview error: ' + err.message);
-        captureState.isPreviewing = false;
-        io.emit('previewError', { error: err.message });
-      } else {
-        log('Preview stopped (intentional)');
-      }
-    })
-    .run();
+// Map /dev/videoN -> [/dev/v4l/by-id/...] links
+function getStableDeviceLinks() {
+  const links = {};
+  if (!fs.existsSync(V4L_BY_ID_DIR)) {
+    return links;
+  }
 
-  return { success: true };
+  fs.readdirSync(V4L_BY_ID_DIR).forEach((name) => {
+    const linkPath = path.join(V4L_BY_ID_DIR, name);
+    try {
+      const target = fs.realpathSync(linkPath);
+      links[target] = links[target] || [];
+      links[target].push(linkPath);
+    } catch (err) {
+      // Dangling link left by an unplugged device
+    }
+  });
+  return links;
 }
 
-// Stop preview
-async function stopPreview() {
-  if (!captureState.isPreviewing || !captureState.previewProcess) {
-    return { success: false, error: 'Not previewing' };
-  }
+// Parse `v4l2-ctl --list-formats-ext` into formats, resolutions and frame rates
+function parseV4l2Formats(output) {
+  const formats = [];
+  let format = null;
+  let resolution = null;
 
-  log('Stopping preview...');
-  captureState.previewStopping = true;
-  
-  return new Promise((resolve) => {
-    let resolved = false;
-    
-    captureState.previewProcess.on('end', () => {
-      if (!resolved) {
-        resolved = true;
-        captureState.isPreviewing = false;
-        captureState.previewStopping = false;
-        log('Preview stopped');
-        io.emit('previewStopped', {});
-        resolve({ success: true });
-      }
-    }).on('error', (err) => {
-      // Ignore signal 15 errors - that's expected when stopping
-      if (err.message && err.message.includes('signal 15')) {
-        if (!resolved) {
-          resolved = true;
-          captureState.isPreviewing = false;
-          captureState.previewStopping = false;
-          log('Preview stopped (SIGTERM)');
-          io.emit('previewStopped', {});
-          resolve({ success: true });
-        }
-        return;
-      }
-      if (!resolved) {
-        resolved = true;
-        captureState.isPreviewing = false;
-        captureState.previewStopping = false;
-        io.emit('previewStopped', {});
-        resolve({ success: true });
-      }
-    });
+  output.split('\n').forEach((line) => {
+    const formatMatch = line.match(/\[\d+\]: '(\S+)' \((.*)\)/);
+    const sizeMatch = line.match(/Size: \w+ (\d+x\d+)/);
+    const fpsMatch = line.match(/\(([\d.]+) fps\)/);
 
-    captureState.previewProcess.kill('SIGTERM');
-    
-    setTimeout(() => {
-      if (!resolved) {
-        resolved = true;
-        captureState.isPreviewing = false;
-        captureState.previewStopping = false;
-        resolve({ success: true });
-      }
-    }, 1000);
+    if (formatMatch) {
+      format = { pixelFormat: formatMatch[1], description: formatMatch[2], resolutions: [] };
+      formats.push(format);
+    } else if (sizeMatch && format) {
+      resolution = { size: sizeMatch[1], frameRates: [] };
+      format.resolutions.push(resolution);
+    } else if (fpsMatch && resolution) {
+      resolution.frameRates.push(parseFloat(fpsMatch[1]));
+    }
+  });
+
+  return formats;
+}
+
+// Parse `ffmpeg -f v4l2 -list_formats all` (no frame rates available)
+function parseFfmpegFormats(output) {
+  const formats = [];
+  output.split('\n').forEach((line) => {
+    // Descriptions can contain colons (YUYV 4:2:2), so split on ' : '
+    const match = line.match(/(?:Raw|Compressed)\s*:\s*(\S+)\s+:\s+(.+)\s+:\s+(.+)$/);
+    if (match) {
+      formats.push({
+        pixelFormat: match[1],
+        description: match[2],
+        resolutions: match[3].trim().split(/\s+/).map((size) => ({ size, frameRates: [] }))
+      });
+    }
   });
+  return formats;
 }
 
-// Start video capture
-async function startCapture(notes = '') {
-  if (captureState.isCapturing) {
-    throw new Error('Already capturing');
-  }
+async function probeCaptureDevice(devicePath) {
+  const device = { path: devicePath, name: null, stablePaths: [], formats: [], source: null };
 
-  // Stop live preview if running (we'll use recording preview instead)
-  if (captureState.isPreviewing) {
-    log('Stopping live preview before capture...');
-    await stopPreview();
+  const info = await runCommand('v4l2-ctl', ['--device', devicePath, '--info']);
+  if (!info.error) {
+    const cardMatch = info.stdout.match(/Card type\s*:\s*(.+)/);
+    device.name = cardMatch ? cardMatch[1].trim() : null;
+
+    const formats = await runCommand('v4l2-ctl', ['--device', devicePath, '--list-formats-ext']);
+    if (!formats.error) {
+      device.formats = parseV4l2Formats(formats.stdout);
+      device.source = 'v4l2-ctl';
+    }
   }
 
-  // Check if device is accessible before starting
-  try {
-    await checkDeviceAccess(VIDEO_CAPTURE_DEVICE);
-  } catch (err) {
-    logError('Device access check failed', err);
-    throw new Error('Cannot access video device: ' + err.message + '. Make sure no other application is using it.');
+  if (!device.source) {
+    // ffmpeg always exits non-zero here; the format list is on stderr
+    const result = await runCommand('ffmpeg', ['-hide_banner', '-f', 'v4l2', '-list_formats', 'all', '-i', devicePath]);
+    device.formats = parseFfmpegFormats(result.stderr);
+    device.source = device.formats.length > 0 ? 'ffmpeg' : null;
   }
 
-  const recordingId = uuidv4();
-  const filename = `${recordingId}.mp4`;
-  const filepath = path.join(UPLOADS_DIR, filename);
-  const startTime = new Date();
+  // Metadata nodes (e.g. the second node of a Magewell) report no formats
+  device.capture = device.formats.length > 0;
+  return device;
+}
 
-  // Create database record
-  const videoRecord = {
-    _id: new ObjectId(),
-    recordingId,
-    filename,
-    filepath,
-    status: 'recording',
-    startTime,
-    notes,
-    createdAt: new Date(),
-    updatedAt: new Date(),
-    uploadedToRemote: false
-  };
+// Enumerate /dev/video* nodes
+async function listCaptureDevices() {
+  const links = getStableDeviceLinks();
+  const nodes = fs.readdirSync('/dev')
+    .filter((name) => /^video\d+$/.test(name))
+    .sort((a, b) => parseInt(a.slice(5)) - parseInt(b.slice(5)))
+    .map((name) => `/dev/${name}`);
 
-  if (videosCollection) {
-    await videosCollection.insertOne(videoRecord);
+  const devices = [];
+  for (const node of nodes) {
+    const device = await probeCaptureDevice(node);
+    device.stablePaths = links[node] || [];
+    const isDevice = (active) => active === node || device.stablePaths.includes(active);
+    device.inUse = (captureState.isCapturing && isDevice(captureState.currentDevice)) ||
+      (captureState.isPreviewing && isDevice(captureState.previewDevice));
+    devices.push(device);
   }
+  return devices;
+}
 
-  captureState.isCapturing = true;
-  captureState.currentRecording = videoRecord;
-  captureState.stopRequested = false;
-  captureState.previewProcess = null;
+// Capture profiles
+// A profile overrides any of the env-derived defaults; the merged settings
+// are stored on each video document as captureSettings.
+const VIDEO_CODECS = ['libx264', 'libx265'];
+const CONTAINERS = ['mp4', 'fmp4', 'mkv'];
+const VIDEO_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+const RESOLUTION_PATTERN = /^\d{2,5}x\d{2,5}$/;
+const BITRATE_PATTERN = /^\d+(\.\d+)?[kKmM]?$/;
 
-  // Create preview directory
-  const previewDir = path.join(UPLOADS_DIR, `${recordingId}_preview`);
-  if (!fs.existsSync(previewDir)) {
-    fs.mkdirSync(previewDir, { recursive: true });
+const DEFAULT_PROFILES = [
+  {
+    name: '1080p archive',
+    description: 'Full resolution, high quality for long-term storage',
+    settings: { resolution: '1920x1080', framerate: 30, videoCodec: 'libx264', preset: 'veryfast', crf: 20, videoBitrate: '8000k' }
+  },
+  {
+    name: '720p low bandwidth',
+    description: 'Smaller files for slow upload links',
+    settings: { resolution: '1280x720', framerate: 30, videoCodec: 'libx264', preset: 'veryfast', crf: 26, videoBitrate: '2500k', audio: { bitrate: '96k' } }
+  },
+  {
+    name: 'HEVC',
+    description: 'H.265 at 1080p, roughly half the size of H.264 at similar quality',
+    settings: { resolution: '1920x1080', framerate: 30, videoCodec: 'libx265', preset: 'ultrafast', crf: 26, videoBitrate: '4000k' }
   }
+];
 
-  const previewPath = path.join(previewDir, 'preview.jpg');
+function getDefaultCaptureSettings() {
+  return {
+    resolution: VIDEO_RESOLUTION,
+    framerate: Number(VIDEO_FRAMERATE),
+    videoCodec: VIDEO_CODEC,
+    preset: VIDEO_PRESET,
+    crf: VIDEO_CRF,
+    videoBitrate: VIDEO_BITRATE,
+    previewResolution: PREVIEW_RESOLUTION,
+    previewFramerate: Number(PREVIEW_FRAMERATE),
+    segmentSeconds: SEGMENT_DURATION_SECONDS,
+    joinSegments: SEGMENT_JOIN,
+    container: RECORDING_CONTAINER,
+    audio: {
+      enabled: AUDIO_CONFIG.enabled,
+      sampleRate: AUDIO_CONFIG.sampleRate,
+      channels: AUDIO_CONFIG.channels,
+      bitrate: AUDIO_CONFIG.bitrate
+    }
+  };
+}
 
-  // Set up FFmpeg for recording with PREVIEW using filter_complex
-  // This creates both the recording AND preview from a single device read
-  captureState.ffmpegProcess = ffmpeg()
-    .input(VIDEO_CAPTURE_DEVICE)
-    .inputOptions([
-      '-framerate', VIDEO_FRAMERATE,
-      '-video_size', VIDEO_RESOLUTION,
-      '-use_wallclock_as_timestamps', '1',
-      '-fflags', 'nobuffer',
-      '-flags', 'low_delay'
-    ])
-    // Use filter_complex to split the stream
-    .complexFilter([
-      // Split input into two streams
-      'split=2[rec][prev]',
-      // Scale preview to lower resolution
-      '[prev]scale=' + PREVIEW_RESOLUTION.replace('x', ':') + '[scaled]'
-    ])
-    // Main recording output (full quality)
-    .output(filepath)
-    .outputOptions([
-      '-map', '[rec]',
-      '-c:v', 'libx264',
-      '-preset', 'ultrafast',
-      '-crf', '23',
-      '-c:a', 'aac',
-      '-b:a', '128k',
-      '-fflags', '+genpts',
-      '-avoid_negative_ts', 'make_zero'
-    ])
-    // Preview output (low resolution, updates same file)
-    .output(previewPath)
-    .outputOptions([
-      '-map', '[scaled]',
-      '-q:v', '5',
-      '-update', '1',
-      '-fps_mode', 'cfr'
-    ])
-    .on('start', (commandLine) => {
-      log('FFmpeg started: ' + commandLine);
-      io.emit('captureStarted', { recordingId, startTime });
-    })
-    .on('error', async (err, stdout, stderr) => {
-      const errorMsg = err.message + '\n\nFFmpeg stderr:\n' + (stderr || 'No stderr output');
-      
-      // Check if this is a normal termination (signal 15 = SIGTERM from stop button)
-      if (stderr && stderr.includes('Exiting normally, received signal 15')) {
-        log('FFmpeg stopped normally by user');
-        return; // Don't treat as error
-      }
-      
-      logError('FFmpeg error', err);
-      captureState.isCapturing = false;
+function checkNumber(value, name, min, max) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new Error(`${name} must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
 
-      if (videosCollection) {
-        await videosCollection.updateOne(
-          { recordingId },
-          { $set: { status: 'error', error: errorMsg, updatedAt: new Date() } }
-        );
-      }
+function checkPattern(value, name, pattern, example) {
+  if (typeof value !== 'string' || !pattern.test(value)) {
+    throw new Error(`${name} must look like ${example}`);
+  }
+  return value;
+}
 
-      io.emit('captureError', { error: errorMsg });
-    })
-    .on('end', async () => {
-      // If stop was requested, the stop endpoint handles cleanup
-      if (captureState.stopRequested) {
-        return;
-      }
-      
-      // FFmpeg ended naturally (e.g., device disconnected)
-      log('Recording completed');
-      const endTime = new Date();
-      captureState.isCapturing = false;
+function checkOneOf(value, name, allowed) {
+  if (!allowed.includes(value)) {
+    throw new Error(`${name} must be one of: ${allowed.join(', ')}`);
+  }
+  return value;
+}
 
-      // Update database record
-      if (videosCollection) {
-        await videosCollection.updateOne(
-          { recordingId },
-          {
-            $set: {
-              status: 'completed',
-              endTime,
-              duration: (endTime - startTime) / 1000,
-              updatedAt: new Date()
-            }
-          }
-        );
-      }
+// Validate profile settings from a request; unknown keys are dropped
+function validateProfileSettings(input = {}) {
+  const settings = {};
 
-      // Upload to remote storage (S3 or SFTP)
-      try {
-        await uploadFile(filepath, recordingId);
-        if (videosCollection) {
-          await videosCollection.updateOne(
-            { recordingId },
-            { $set: { uploadedToRemote: true, updatedAt: new Date() } }
-          );
-        }
-        io.emit('uploadComplete', { recordingId });
-      } catch (uploadError) {
-        logError('Upload error', uploadError);
-        if (videosCollection) {
-          await videosCollection.updateOne(
-            { recordingId },
-            { $set: { uploadedToRemote: false, uploadError: uploadError.message, updatedAt: new Date() } }
-          );
-        }
-        io.emit('uploadError', { error: uploadError.message });
-      }
+  if (input.resolution !== undefined) settings.resolution = checkPattern(input.resolution, 'resolution', RESOLUTION_PATTERN, '1920x1080');
+  if (input.framerate !== undefined) settings.framerate = checkNumber(input.framerate, 'framerate', 1, 120);
+  if (input.videoCodec !== undefined) settings.videoCodec = checkOneOf(input.videoCodec, 'videoCodec', VIDEO_CODECS);
+  if (input.preset !== undefined) settings.preset = checkOneOf(input.preset, 'preset', VIDEO_PRESETS);
+  if (input.crf !== undefined) settings.crf = checkNumber(input.crf, 'crf', 0, 51);
+  if (input.videoBitrate !== undefined) settings.videoBitrate = checkPattern(input.videoBitrate, 'videoBitrate', BITRATE_PATTERN, '5000k');
+  if (input.previewResolution !== undefined) settings.previewResolution = checkPattern(input.previewResolution, 'previewResolution', RESOLUTION_PATTERN, '640x360');
+  if (input.previewFramerate !== undefined) settings.previewFramerate = checkNumber(input.previewFramerate, 'previewFramerate', 1, 60);
+  if (input.segmentSeconds !== undefined) settings.segmentSeconds = checkNumber(input.segmentSeconds, 'segmentSeconds', 0, 3600);
+  if (input.joinSegments !== undefined) settings.joinSegments = Boolean(input.joinSegments);
+  if (input.container !== undefined) settings.container = checkOneOf(input.container, 'container', CONTAINERS);
 
-      io.emit('captureEnded', { recordingId, endTime });
-      captureState.currentRecording = null;
-    })
-    .run();
+  if (input.audio !== undefined) {
+    if (typeof input.audio !== 'object' || input.audio === null || Array.isArray(input.audio)) {
+      throw new Error('audio must be an object, e.g. { "enabled": true }');
+    }
+    const audio = {};
+    if (input.audio.enabled !== undefined) audio.enabled = Boolean(input.audio.enabled);
+    if (audio.enabled && !AUDIO_CONFIG.device) {
+      throw new Error('audio.enabled needs AUDIO_DEVICE to be set');
+    }
+    if (input.audio.sampleRate !== undefined) audio.sampleRate = checkOneOf(Number(input.audio.sampleRate), 'audio.sampleRate', [8000, 16000, 22050, 32000, 44100, 48000]);
+    if (input.audio.channels !== undefined) audio.channels = checkNumber(input.audio.channels, 'audio.channels', 1, 8);
+    if (input.audio.bitrate !== undefined) audio.bitrate = checkPattern(input.audio.bitrate, 'audio.bitrate', BITRATE_PATTERN, '128k');
+    settings.audio = audio;
+  }
 
-  return { recordingId, startTime };
+  return settings;
 }
 
-// Stop video capture
-async function stopCapture() {
-  if (!captureState.isCapturing || !captureState.ffmpegProcess) {
-    throw new Error('Not capturing');
+// Audio needs AUDIO_DEVICE, whatever a profile says
+function getAudioConfig(settings) {
+  const audio = { ...AUDIO_CONFIG, ...settings.audio };
+  audio.enabled = Boolean(audio.enabled && AUDIO_CONFIG.device);
+  return audio;
+}
+
+function mergeCaptureSettings(base, overrides = {}) {
+  return {
+    ...base,
+    ...overrides,
+    audio: { ...base.audio, ...(overrides.audio || {}) }
+  };
+}
+
+function requireProfiles() {
+  if (!profilesCollection) {
+    throw new Error('Capture profiles require a database connection');
   }
+}
 
-  log('Stopping capture...');
-  captureState.stopRequested = true;
-  
-  return new Promise((resolve, reject) => {
-    let resolved = false;
-    
-    // Handle the process ending after kill
-    captureState.ffmpegProcess.on('end', () => {
-      if (!resolved) {
-        resolved = true;
-        log('Capture stopped successfully');
-        resolve({ success: true });
-      }
-    }).on('error', (err) => {
-      // Ignore signal 15 errors - that's expected
-      if (err.message && err.message.includes('signal 15')) {
-        if (!resolved) {
-          resolved = true;
-          log('Capture stopped successfully (SIGTERM)');
-          resolve({ success: true });
+async function listProfiles() {
+  if (!profilesCollection) {
+    return [];
+  }
+  return await profilesCollection.find().sort({ name: 1 }).toArray();
+}
+
+async function getProfile(profileId) {
+  if (!profilesCollection) {
+    return null;
+  }
+  return await profilesCollection.findOne({ profileId });
+}
+
+async function createProfile(input) {
+  requireProfiles();
+  if (!input.name || typeof input.name !== 'string' || !input.name.trim()) {
+    throw new Error('Profile name is required');
+  }
+
+  const profile = {
+    _id: new ObjectId(),
+    profileId: uuidv4(),
+    name: input.name.trim(),
+    description: input.description || '',
+    settings: validateProfileSettings(input.settings),
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+
+  try {
+    await profilesCollection.insertOne(profile);
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new Error(`A profile named "${profile.name}" already exists`);
+    }
+    throw err;
+  }
+  return profile;
+}
+
+async function updateProfile(profileId, input) {
+  requireProfiles();
+  const update = { updatedAt: new Date() };
+  if (input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      throw new Error('Profile name is required');
+    }
+    update.name = input.name.trim();
+  }
+  if (input.description !== undefined) update.description = input.description;
+  if (input.settings !== undefined) update.settings = validateProfileSettings(input.settings);
+
+  try {
+    return await profilesCollection.findOneAndUpdate(
+      { profileId },
+      { $set: update },
+      { returnDocument: 'after' }
+    );
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new Error(`A profile named "${update.name}" already exists`);
+    }
+    throw err;
+  }
+}
+
+async function deleteProfile(profileId) {
+  requireProfiles();
+  const result = await profilesCollection.deleteOne({ profileId });
+  return result.deletedCount > 0;
+}
+
+// Settings for a capture: env defaults, overridden by the profile if given
+async function resolveCaptureSettings(profileId) {
+  const defaults = getDefaultCaptureSettings();
+  if (!profileId) {
+    return { settings: defaults, profile: null };
+  }
+
+  requireProfiles();
+  const profile = await getProfile(profileId);
+  if (!profile) {
+    throw new Error('Capture profile not found: ' + profileId);
+  }
+  return { settings: mergeCaptureSettings(defaults, profile.settings), profile };
+}
+
+// Create the example profiles on a fresh database
+async function seedDefaultProfiles() {
+  if (!profilesCollection || await profilesCollection.countDocuments() > 0) {
+    return;
+  }
+
+  for (const preset of DEFAULT_PROFILES) {
+    await createProfile(preset);
+  }
+  log(`Created ${DEFAULT_PROFILES.length} default capture profiles`);
+}
+
+// Video encoder options for the main recording
+function getVideoOutputOptions(settings) {
+  const bitrate = parseBitrate(settings.videoBitrate);
+  const options = [
+    '-c:v', settings.videoCodec,
+    '-preset', settings.preset,
+    '-crf', settings.crf
+  ];
+
+  // VIDEO_BITRATE caps the CRF encode so busy scenes can't blow up file size
+  if (bitrate > 0) {
+    options.push('-maxrate', settings.videoBitrate, '-bufsize', `${Math.round((bitrate * 2) / 1000)}k`);
+  }
+  if (settings.videoCodec === 'libx265') {
+    // Lets Apple players recognise HEVC in MP4
+    options.push('-tag:v', 'hvc1');
+  }
+  return options;
+}
+
+// Live preview stream
+// Preview frames come from ffmpeg's stdout as MJPEG and are only kept in
+// memory, so nothing is written to the SD card. /api/preview/stream pushes
+// every frame to each viewer; /api/preview serves the latest one for polling.
+const PREVIEW_BOUNDARY = 'previewframe';
+const JPEG_START = Buffer.from([0xff, 0xd8]);
+const JPEG_END = Buffer.from([0xff, 0xd9]);
+
+const previewHub = {
+  latestFrame: null,
+  viewers: new Set()
+};
+
+// Writable for an ffmpeg `-f mjpeg` output that splits it into JPEG frames
+function createPreviewStream() {
+  let pending = Buffer.alloc(0);
+
+  return new Writable({
+    // fluent-ffmpeg kills ffmpeg when its output stream emits 'close'
+    autoDestroy: false,
+    emitClose: false,
+    write(chunk, encoding, callback) {
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+
+      let end;
+      while ((end = pending.indexOf(JPEG_END)) !== -1) {
+        const start = pending.indexOf(JPEG_START);
+        if (start !== -1 && start < end) {
+          publishPreviewFrame(Buffer.from(pending.subarray(start, end + 2)));
         }
+        pending = pending.subarray(end + 2);
+      }
+      callback();
+    }
+  });
+}
+
+function publishPreviewFrame(frame) {
+  previewHub.latestFrame = frame;
+  feedLiveTap(frame);
+
+  for (const viewer of previewHub.viewers) {
+    // Drop frames for a slow viewer instead of buffering them
+    if (!viewer.writableNeedDrain) {
+      writePreviewFrame(viewer, frame);
+    }
+  }
+}
+
+// Drop the cached frame and end the viewers' streams when a capture run stops,
+// so nobody mistakes its last frame for a live picture. A live tap fed from
+// the hub stops with it.
+function resetPreviewHub() {
+  previewHub.latestFrame = null;
+  stopLiveTap();
+  for (const viewer of previewHub.viewers) {
+    viewer.end();
+  }
+  previewHub.viewers.clear();
+}
+
+function writePreviewFrame(res, frame) {
+  res.write(`--${PREVIEW_BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${frame.length}\r\n\r\n`);
+  res.write(frame);
+  res.write('\r\n');
+}
+
+// HLS live output
+// An extra ffmpeg output writes a rolling HLS playlist to
+// LIVE_HLS_DIR/<id>/index.m3u8, served under /live. The id is the recording
+// ID while capturing, or 'preview' in preview-only mode. Switching it on
+// during a capture run that started without it starts a live tap instead: a
+// separate ffmpeg that encodes the preview frames, so the recording is never
+// interrupted. Switching it off stops the tap, or stops serving the capture's
+// own output, which ffmpeg keeps writing until the run ends.
+const LIVE_PREVIEW_ID = 'preview';
+
+const liveState = {
+  enabled: LIVE_HLS_ENABLED,
+  // { id, recordingId, playlistUrl, startedAt } while an output is served
+  active: null,
+  // The capture's own output while it is switched off
+  hidden: null,
+  // { command, input, done } while a live tap is running
+  tap: null
+};
+
+function getLivePlaylistUrl(id) {
+  return `/live/${id}/index.m3u8`;
+}
+
+// Low-latency H.264 at a fixed bitrate with a keyframe every `keyframeSeconds`
+function getStreamVideoOptions(videoBitrate, framerate, keyframeSeconds) {
+  const gop = Math.max(1, Math.round(Number(framerate) * keyframeSeconds));
+
+  return [
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-tune', 'zerolatency',
+    '-pix_fmt', 'yuv420p',
+    '-b:v', videoBitrate,
+    '-maxrate', videoBitrate,
+    '-bufsize', `${Math.round((parseBitrate(videoBitrate) * 2) / 1000)}k`,
+    '-g', gop,
+    '-keyint_min', gop,
+    '-sc_threshold', '0'
+  ];
+}
+
+function getLiveOutputOptions(dir, framerate) {
+  return [
+    // A keyframe at every segment boundary
+    ...getStreamVideoOptions(LIVE_HLS_BITRATE, framerate, LIVE_HLS_SEGMENT_SECONDS),
+    '-f', 'hls',
+    '-hls_time', LIVE_HLS_SEGMENT_SECONDS,
+    '-hls_list_size', LIVE_HLS_LIST_SIZE,
+    '-hls_flags', 'delete_segments+independent_segments',
+    '-hls_segment_filename', path.join(dir, 'segment_%05d.ts')
+  ];
+}
+
+// Add the live output to `command` and track it for the lifetime of that
+// ffmpeg process. `options` are the input mapping for the output.
+function addLiveOutput(command, id, recordingId, options) {
+  const dir = path.join(LIVE_HLS_DIR, id);
+  clearLiveOutputDir(dir);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const output = { id, recordingId, playlistUrl: getLivePlaylistUrl(id), startedAt: null };
+  command
+    .output(path.join(dir, 'index.m3u8'))
+    .outputOptions(options)
+    .on('start', () => {
+      output.startedAt = new Date();
+      // Switched off while ffmpeg was starting
+      if (!liveState.enabled) {
+        liveState.hidden = output;
         return;
       }
-      if (!resolved) {
-        resolved = true;
-        reject(err);
+      liveState.active = output;
+      io.emit('liveStarted', output);
+    })
+    .on('end', () => endLiveOutput(output))
+    .on('error', () => endLiveOutput(output));
+}
+
+function endLiveOutput(output) {
+  if (liveState.hidden === output) {
+    liveState.hidden = null;
+  }
+  if (liveState.active === output) {
+    liveState.active = null;
+    io.emit('liveEnded', { id: output.id });
+  }
+  try {
+    clearLiveOutputDir(path.join(LIVE_HLS_DIR, output.id));
+  } catch (err) {
+    logError('Live output cleanup error', err);
+  }
+}
+
+// Live output for a capture run that started without one, encoded from the
+// preview frames: the preview's resolution and frame rate, and no audio
+function startLiveTap(recording) {
+  const { recordingId, captureSettings: settings } = recording;
+  const id = `${recordingId}-tap`;
+  const input = new PassThrough();
+  const command = ffmpeg()
+    .input(input)
+    .inputOptions(['-f', 'mjpeg', '-use_wallclock_as_timestamps', '1']);
+
+  addLiveOutput(command, id, recordingId, [
+    '-r', settings.previewFramerate,
+    '-fps_mode', 'cfr',
+    ...getLiveOutputOptions(path.join(LIVE_HLS_DIR, id), settings.previewFramerate)
+  ]);
+
+  const tap = {
+    command,
+    input,
+    done: new Promise((resolve) => command.on('end', resolve).on('error', resolve))
+  };
+  command
+    .on('start', (commandLine) => log('Live tap started: ' + commandLine))
+    .on('error', (err) => {
+      if (!input.writableEnded) {
+        logError('Live tap error', err);
       }
     });
+  tap.done.then(() => {
+    if (liveState.tap === tap) {
+      liveState.tap = null;
+    }
+  });
 
-    // Send SIGTERM to gracefully stop FFmpeg
-    captureState.ffmpegProcess.kill('SIGTERM');
-    
-    // Timeout in case end/error doesn't fire
-    setTimeout(() => {
-      if (!resolved) {
-        resolved = true;
-        log('Capture stopped (timeout)');
-        resolve({ success: true });
-      }
-    }, 2000);
+  liveState.tap = tap;
+  command.run();
+}
+
+function feedLiveTap(frame) {
+  const tap = liveState.tap;
+  // Drop frames while ffmpeg catches up instead of buffering them
+  if (tap && !tap.input.writableEnded && !tap.input.writableNeedDrain) {
+    tap.input.write(frame);
+  }
+}
+
+// End the tap's input so ffmpeg finishes the playlist; resolves once it exits
+function stopLiveTap() {
+  const tap = liveState.tap;
+  if (!tap) {
+    return Promise.resolve();
+  }
+  if (!tap.input.writableEnded) {
+    tap.input.end();
+  }
+  return tap.done;
+}
+
+// Remove the playlist and segments a live output wrote to `dir`, and `dir`
+// itself once it is empty. Other files are never touched.
+function clearLiveOutputDir(dir) {
+  if (!fs.existsSync(dir)) {
+    return;
+  }
+
+  fs.readdirSync(dir)
+    .filter((file) => /\.(m3u8|ts)$/.test(file))
+    .forEach((file) => fs.rmSync(path.join(dir, file), { force: true }));
+
+  if (fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir);
+  }
+}
+
+// Switch the live output on or off. Preview-only mode restarts the preview
+// to apply it; a running capture is never restarted for it.
+async function setLiveEnabled(enabled) {
+  liveState.enabled = Boolean(enabled);
+  log(`HLS live output ${liveState.enabled ? 'enabled' : 'disabled'}`);
+
+  if (captureState.isCapturing) {
+    // A paused capture picks the setting up when it resumes
+    if (!captureState.isPaused) {
+      await applyLiveToCapture();
+    }
+  } else if (captureState.isPreviewing) {
+    const device = captureState.previewDevice;
+    await stopPreview();
+    await startPreview({ device });
+  }
+
+  io.emit('liveSettingsChanged', { enabled: liveState.enabled });
+  return { success: true, enabled: liveState.enabled };
+}
+
+async function applyLiveToCapture() {
+  if (!liveState.enabled) {
+    if (liveState.tap) {
+      await stopLiveTap();
+    } else if (liveState.active) {
+      liveState.hidden = liveState.active;
+      liveState.active = null;
+      io.emit('liveEnded', { id: liveState.hidden.id });
+    }
+    return;
+  }
+
+  if (liveState.active) {
+    return;
+  }
+  if (liveState.hidden) {
+    liveState.active = liveState.hidden;
+    liveState.hidden = null;
+    io.emit('liveStarted', liveState.active);
+    return;
+  }
+
+  // A tap still shutting down from an earlier switch-off
+  await stopLiveTap();
+  if (liveState.enabled && !liveState.active && captureState.isCapturing && !captureState.isPaused) {
+    startLiveTap(captureState.currentRecording);
+  }
+}
+
+// Stream targets (RTMP/SRT restreaming)
+// Targets live in the streamTargets collection and are cached in memory, since
+// the capture command is built synchronously. Each enabled target becomes an
+// extra output of the capture process, encoded at the target's own bitrate
+// and sent as MPEG-TS to a localhost UDP port. A relay ffmpeg per target
+// copies that stream to the ingest. UDP sends never fail, so a target that
+// drops or refuses the connection only takes down its relay, which is retried
+// until the capture run ends.
+const STREAM_URL_PATTERN = /^(rtmps?|srt):\/\/\S+$/;
+const STREAM_KEYFRAME_SECONDS = 2;
+
+const streamState = {
+  targets: [],
+  // targetId -> { target, port, process, state, error, attempts, stopping, retryTimer }
+  relays: new Map()
+};
+
+function requireStreamTargets() {
+  if (!streamTargetsCollection) {
+    throw new Error('Stream targets require a database connection');
+  }
+}
+
+async function loadStreamTargets() {
+  if (streamTargetsCollection) {
+    streamState.targets = await streamTargetsCollection.find().sort({ name: 1 }).toArray();
+  }
+  return streamState.targets;
+}
+
+function validateStreamTarget(input, existing = {}) {
+  const target = { ...existing };
+
+  if (input.name !== undefined || !existing.name) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      throw new Error('Stream target name is required');
+    }
+    target.name = input.name.trim();
+  }
+  if (input.url !== undefined || !existing.url) {
+    target.url = checkPattern(input.url, 'url', STREAM_URL_PATTERN, 'rtmp://host/app/key or srt://host:port');
+  }
+  if (input.videoBitrate !== undefined || !existing.videoBitrate) {
+    target.videoBitrate = checkPattern(input.videoBitrate ?? '3000k', 'videoBitrate', BITRATE_PATTERN, '3000k');
+  }
+  if (input.audioBitrate !== undefined || !existing.audioBitrate) {
+    target.audioBitrate = checkPattern(input.audioBitrate ?? '128k', 'audioBitrate', BITRATE_PATTERN, '128k');
+  }
+  if (input.resolution !== undefined) {
+    target.resolution = input.resolution ? checkPattern(input.resolution, 'resolution', RESOLUTION_PATTERN, '1280x720') : null;
+  }
+  if (input.enabled !== undefined) {
+    target.enabled = Boolean(input.enabled);
+  }
+  return target;
+}
+
+async function saveStreamTarget(write, name) {
+  try {
+    await write();
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new Error(`A stream target named "${name}" already exists`);
+    }
+    throw err;
+  }
+  await loadStreamTargets();
+  emitStreamTargetsChanged();
+}
+
+async function createStreamTarget(input) {
+  requireStreamTargets();
+  const target = validateStreamTarget(input);
+  target._id = new ObjectId();
+  target.targetId = uuidv4();
+  target.resolution = target.resolution || null;
+  target.enabled = target.enabled !== false;
+  target.createdAt = new Date();
+  target.updatedAt = new Date();
+
+  await saveStreamTarget(() => streamTargetsCollection.insertOne(target), target.name);
+  return target;
+}
+
+async function updateStreamTarget(targetId, input) {
+  requireStreamTargets();
+  const existing = await streamTargetsCollection.findOne({ targetId });
+  if (!existing) {
+    return null;
+  }
+
+  const target = validateStreamTarget(input, existing);
+  target.updatedAt = new Date();
+  await saveStreamTarget(() => streamTargetsCollection.replaceOne({ targetId }, target), target.name);
+  return target;
+}
+
+async function deleteStreamTarget(targetId) {
+  requireStreamTargets();
+  const result = await streamTargetsCollection.deleteOne({ targetId });
+  await loadStreamTargets();
+  emitStreamTargetsChanged();
+  return result.deletedCount > 0;
+}
+
+// Targets with their relay state; URLs can hold stream keys, so they stay server-side
+function getStreamTargetStates() {
+  return streamState.targets.map((target) => {
+    const relay = streamState.relays.get(target.targetId);
+    return {
+      targetId: target.targetId,
+      name: target.name,
+      enabled: target.enabled,
+      videoBitrate: target.videoBitrate,
+      audioBitrate: target.audioBitrate,
+      resolution: target.resolution,
+      protocol: target.url.split(':')[0],
+      state: relay ? relay.state : 'idle',
+      error: relay ? relay.error : null,
+      attempts: relay ? relay.attempts : 0
+    };
   });
 }
 
-// Upload to remote storage (S3 or SFTP)
-async function uploadFile(filepath, recordingId) {
-  if (UPLOAD_METHOD === 'sftp') {
-    return await uploadToSFTP(filepath, recordingId);
-  } else if (UPLOAD_METHOD === 's3') {
-    return await uploadToS3(filepath, recordingId);
-  } else {
-    // Local only - no upload
-    console.log('Local storage only - no upload configured');
-    return { Location: filepath };
+function emitStreamTargetsChanged() {
+  io.emit('streamTargetsChanged', { targets: getStreamTargetStates() });
+}
+
+function setRelayState(relay, state, error = null) {
+  relay.state = state;
+  relay.error = error;
+  io.emit('streamTargetState', {
+    targetId: relay.target.targetId,
+    name: relay.target.name,
+    state,
+    error,
+    attempts: relay.attempts
+  });
+}
+
+// Add an output per enabled target to the capture command. `branches` are the
+// split filter labels reserved for the targets, in the same order.
+function addStreamTargetOutputs(command, targets, branches, settings, audio) {
+  targets.forEach((target, i) => {
+    const port = STREAM_RELAY_BASE_PORT + i;
+
+    command
+      .output(`udp://127.0.0.1:${port}?pkt_size=1316`)
+      .outputOptions([
+        '-map', branches[i],
+        ...getStreamVideoOptions(target.videoBitrate, settings.framerate, STREAM_KEYFRAME_SECONDS),
+        ...(audio.enabled ? ['-map', '1:a', '-c:a', 'aac', '-b:a', target.audioBitrate, '-ar', '48000', '-af', 'aresample=async=1000'] : []),
+        '-f', 'mpegts'
+      ]);
+  });
+
+  command
+    .on('start', () => targets.forEach((target, i) => startRelay(target, STREAM_RELAY_BASE_PORT + i)))
+    .on('end', stopRelays)
+    .on('error', stopRelays);
+}
+
+function startRelay(target, port) {
+  const relay = streamState.relays.get(target.targetId) ||
+    { target, port, process: null, state: 'idle', error: null, attempts: 0, stopping: false, retryTimer: null };
+  streamState.relays.set(target.targetId, relay);
+  relay.stopping = false;
+  relay.attempts++;
+  setRelayState(relay, 'connecting');
+
+  let live = false;
+  relay.process = ffmpeg()
+    .input(`udp://127.0.0.1:${port}?overrun_nonfatal=1&fifo_size=50000`)
+    .inputOptions(['-f', 'mpegts'])
+    .output(target.url)
+    .outputOptions(['-c', 'copy', '-f', target.url.startsWith('srt') ? 'mpegts' : 'flv'])
+    .on('start', () => log(`Relay to stream target "${target.name}" started (attempt ${relay.attempts})`))
+    .on('stderr', (line) => {
+      // Stats lines only appear once the output is open and packets flow
+      if (!live && /^(frame|size)=/.test(line)) {
+        live = true;
+        setRelayState(relay, 'live');
+      }
+    })
+    .on('error', (err) => retryRelay(relay, err.message.split('\n')[0]))
+    // The ingest closed the connection; reconnect like after an error
+    .on('end', () => retryRelay(relay, 'Connection closed'));
+
+  relay.process.run();
+}
+
+function retryRelay(relay, error) {
+  relay.process = null;
+  if (relay.stopping) {
+    return;
+  }
+
+  log(`Stream target "${relay.target.name}" failed: ${error}`, 'WARN');
+  setRelayState(relay, 'retrying', error);
+  relay.retryTimer = setTimeout(() => {
+    relay.retryTimer = null;
+    if (!relay.stopping) {
+      startRelay(relay.target, relay.port);
+    }
+  }, STREAM_RETRY_MS);
+}
+
+// Stop every relay; called when the capture process ends for any reason
+function stopRelays() {
+  for (const relay of streamState.relays.values()) {
+    relay.stopping = true;
+    clearTimeout(relay.retryTimer);
+    relay.retryTimer = null;
+    if (relay.process) {
+      relay.process.kill('SIGTERM');
+      relay.process = null;
+    }
+    setRelayState(relay, 'stopped');
+  }
+  streamState.relays.clear();
+}
+
+// Start preview
+async function startPreview(options = {}) {
+  if (captureState.isPreviewing || captureState.isCapturing) {
+    throw new Error('Already previewing or capturing');
+  }
+
+  const device = resolveCaptureDevice(options.device);
+
+  const settings = getDefaultCaptureSettings();
+  const [width, height] = settings.previewResolution.split('x').map(Number);
+
+  // Flag to track intentional stop
+  captureState.previewStopping = false;
+
+  captureState.previewDevice = device;
+  const command = ffmpeg()
+    .input(device)
+    .inputOptions([
+      '-framerate', settings.framerate,
+      '-video_size', settings.resolution
+    ])
+    .output(createPreviewStream())
+    .outputOptions([
+      '-vf', `scale=${width}:${height}`,
+      '-r', settings.previewFramerate,
+      '-q:v', '5',
+      '-f', 'mjpeg'
+    ]);
+
+  if (liveState.enabled) {
+    addLiveOutput(command, LIVE_PREVIEW_ID, null, [
+      '-vf', 'scale=' + LIVE_HLS_RESOLUTION.replace('x', ':'),
+      ...getLiveOutputOptions(path.join(LIVE_HLS_DIR, LIVE_PREVIEW_ID), settings.framerate)
+    ]);
+  }
+
+  captureState.previewProcess = command
+    .on('start', () => {
+      log(`Preview started (${device})`);
+      captureState.isPreviewing = true;
+      io.emit('previewStarted', { device });
+    })
+    .on('error', (err) => {
+      // Only emit error if not intentionally stopping
+      if (!captureState.previewStopping) {
+        log('Preview error: ' + err.message);
+        captureState.isPreviewing = false;
+        io.emit('previewError', { error: err.message });
+      } else {
+        log('Preview stopped (intentional)');
+      }
+    })
+    .run();
+
+  return { success: true };
+}
+
+// Stop preview
+async function stopPreview() {
+  if (!captureState.isPreviewing || !captureState.previewProcess) {
+    return { success: false, error: 'Not previewing' };
+  }
+
+  log('Stopping preview...');
+  captureState.previewStopping = true;
+  
+  return new Promise((resolve) => {
+    let resolved = false;
+    
+    captureState.previewProcess.on('end', () => {
+      if (!resolved) {
+        resolved = true;
+        captureState.isPreviewing = false;
+        captureState.previewStopping = false;
+        log('Preview stopped');
+        io.emit('previewStopped', {});
+        resolve({ success: true });
+      }
+    }).on('error', (err) => {
+      // Ignore signal 15 errors - that's expected when stopping
+      if (err.message && err.message.includes('signal 15')) {
+        if (!resolved) {
+          resolved = true;
+          captureState.isPreviewing = false;
+          captureState.previewStopping = false;
+          log('Preview stopped (SIGTERM)');
+          io.emit('previewStopped', {});
+          resolve({ success: true });
+        }
+        return;
+      }
+      if (!resolved) {
+        resolved = true;
+        captureState.isPreviewing = false;
+        captureState.previewStopping = false;
+        io.emit('previewStopped', {});
+        resolve({ success: true });
+      }
+    });
+
+    captureState.previewProcess.kill('SIGTERM');
+    previewHub.latestFrame = null;
+
+    setTimeout(() => {
+      if (!resolved) {
+        resolved = true;
+        captureState.isPreviewing = false;
+        captureState.previewStopping = false;
+        resolve({ success: true });
+      }
+    }, 1000);
+  });
+}
+
+// Start video capture
+async function startCapture(notes = '', options = {}) {
+  if (captureState.isCapturing) {
+    throw new Error('Already capturing');
+  }
+
+  const device = resolveCaptureDevice(options.device);
+  const metadata = validateRecordingMetadata(options.metadata || {});
+  const { settings, profile } = await resolveCaptureSettings(options.profileId);
+  const audio = getAudioConfig(settings);
+
+  // Stop live preview if running (we'll use recording preview instead)
+  if (captureState.isPreviewing) {
+    log('Stopping live preview before capture...');
+    await stopPreview();
+  }
+
+  // Make sure there is room for a reasonable recording
+  const warning = await checkDiskSpaceForCapture(settings);
+
+  // Check if device is accessible before starting
+  try {
+    await checkDeviceAccess(device);
+  } catch (err) {
+    logError('Device access check failed', err);
+    throw new Error('Cannot access video device: ' + err.message + '. Make sure no other application is using it.');
+  }
+
+  const recordingId = uuidv4();
+  const filename = `${recordingId}.mp4`;
+  const filepath = path.join(UPLOADS_DIR, filename);
+  const startTime = new Date();
+  const segmentDir = settings.segmentSeconds > 0 ? path.join(UPLOADS_DIR, `${recordingId}_segments`) : null;
+  // MKV is remuxed into filepath when the capture ends; MP4 variants are written there directly
+  const captureFilepath = settings.container === 'mkv' ? path.join(UPLOADS_DIR, `${recordingId}.mkv`) : filepath;
+
+  // Create database record
+  const videoRecord = {
+    _id: new ObjectId(),
+    recordingId,
+    filename,
+    filepath,
+    captureFilepath,
+    // One file per capture run; more than one once the recording is paused
+    parts: [captureFilepath],
+    captureRun: 0,
+    pauses: [],
+    container: settings.container,
+    remuxStatus: settings.container !== 'mp4' && !segmentDir ? 'pending' : null,
+    status: 'recording',
+    startTime,
+    notes,
+    notesHistory: notes ? [{ notes, savedAt: new Date() }] : [],
+    title: metadata.title || '',
+    tags: metadata.tags || [],
+    operator: metadata.operator || '',
+    location: metadata.location || '',
+    customFields: metadata.customFields || {},
+    device,
+    profileId: profile ? profile.profileId : null,
+    profileName: profile ? profile.name : null,
+    captureSettings: settings,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    uploadedToRemote: false,
+    destinations: [],
+    audio: audio.enabled ? audio : null,
+    segmented: Boolean(segmentDir)
+  };
+
+  if (segmentDir) {
+    // filepath is where the joined file goes, if joining is enabled
+    Object.assign(videoRecord, {
+      segmentDir,
+      segmentSeconds: settings.segmentSeconds,
+      segmentCount: 0,
+      joinSegments: settings.joinSegments,
+      joinStatus: settings.joinSegments ? 'pending' : null
+    });
+    fs.mkdirSync(segmentDir, { recursive: true });
+  }
+
+  if (videosCollection) {
+    await videosCollection.insertOne(videoRecord);
+  }
+
+  captureState.isCapturing = true;
+  captureState.isPaused = false;
+  captureState.currentRecording = videoRecord;
+  captureState.currentDevice = device;
+  captureState.stopRequested = false;
+  captureState.pauseRequested = false;
+  captureState.previewProcess = null;
+
+  if (segmentDir) {
+    startSegmentWatcher(videoRecord);
+  }
+  startCaptureProcess(videoRecord);
+
+  return { recordingId, startTime, warning };
+}
+
+// Launch ffmpeg for the recording's current run. Each pause ends a run; the
+// next one writes a new part (or continues the segment numbering), and the
+// parts are joined when the recording is finalized.
+function startCaptureProcess(recording) {
+  const { recordingId, startTime, device, captureSettings: settings, segmentDir } = recording;
+  const audio = getAudioConfig(settings);
+  const run = recording.captureRun || 0;
+
+  // Set up FFmpeg for recording with PREVIEW using filter_complex
+  // This creates both the recording AND preview from a single device read
+  const command = ffmpeg()
+    .input(device)
+    .inputOptions([
+      '-framerate', settings.framerate,
+      '-video_size', settings.resolution,
+      '-use_wallclock_as_timestamps', '1',
+      '-fflags', 'nobuffer',
+      '-flags', 'low_delay'
+    ]);
+
+  if (audio.enabled) {
+    addAudioInput(command, audio);
+  }
+
+  const watcher = segmentWatchers.get(recordingId);
+  const outputOptions = segmentDir ?
+    getSegmentOutputOptions(settings, segmentDir, run, watcher ? watcher.segments.length : 0) :
+    getContainerOutputOptions(settings.container);
+  const live = liveState.enabled;
+  const targets = streamState.targets.filter((target) => target.enabled);
+  const branches = ['[rec]', '[prev]', ...(live ? ['[live]'] : []), ...targets.map((target, i) => `[stream${i}]`)];
+  // Targets with their own resolution get a scaled copy of their branch
+  const targetFilters = targets
+    .map((target, i) => target.resolution ? `[stream${i}]scale=${target.resolution.replace('x', ':')}[stream${i}scaled]` : null)
+    .filter(Boolean);
+  const targetBranches = targets.map((target, i) => target.resolution ? `[stream${i}scaled]` : `[stream${i}]`);
+
+  command
+    // Use filter_complex to split the stream
+    .complexFilter([
+      // Split video input into one stream per output
+      `[0:v]split=${branches.length}${branches.join('')}`,
+      // Scale preview to lower resolution (black detection runs on the small copy)
+      '[prev]scale=' + settings.previewResolution.replace('x', ':') + getBlackDetectFilter() + '[scaled]',
+      ...(live ? ['[live]scale=' + LIVE_HLS_RESOLUTION.replace('x', ':') + '[livescaled]'] : []),
+      ...targetFilters
+    ])
+    // Main recording output (full quality)
+    .output(segmentDir ? path.join(segmentDir, getSegmentFilenamePattern(settings.container)) : recording.parts[run])
+    .outputOptions([
+      '-map', '[rec]',
+      ...getVideoOutputOptions(settings),
+      ...getAudioOutputOptions(audio, getSilenceDetectFilter()),
+      '-fflags', '+genpts',
+      '-avoid_negative_ts', 'make_zero',
+      ...outputOptions
+    ])
+    // Preview output (low resolution MJPEG on stdout)
+    .output(createPreviewStream())
+    .outputOptions([
+      '-map', '[scaled]',
+      '-r', settings.previewFramerate,
+      '-q:v', '5',
+      '-fps_mode', 'cfr',
+      '-f', 'mjpeg'
+    ]);
+
+  if (live) {
+    addLiveOutput(command, recordingId, recordingId, [
+      '-map', '[livescaled]',
+      ...(audio.enabled ? ['-map', '1:a', '-c:a', 'aac', '-b:a', '96k', '-af', 'aresample=async=1000'] : []),
+      ...getLiveOutputOptions(path.join(LIVE_HLS_DIR, recordingId), settings.framerate)
+    ]);
+  }
+  if (targets.length > 0) {
+    addStreamTargetOutputs(command, targets, targetBranches, settings, audio);
+  }
+
+  captureState.ffmpegProcess = command
+    .on('start', (commandLine) => {
+      log('FFmpeg started: ' + commandLine);
+      startAutoStopMonitor(recording);
+      if (run === 0) {
+        io.emit('captureStarted', { recordingId, startTime, device });
+      }
+    })
+    .on('stderr', (line) => {
+      const monitor = captureState.autoStopMonitor;
+      if (monitor && monitor.recording === recording) {
+        handleAutoStopLine(monitor, line);
+      }
+    })
+    .on('error', async (err, stdout, stderr) => {
+      const errorMsg = err.message + '\n\nFFmpeg stderr:\n' + (stderr || 'No stderr output');
+      stopAutoStopMonitor();
+      resetPreviewHub();
+      
+      // Check if this is a normal termination (signal 15 = SIGTERM from stop button)
+      if (stderr && stderr.includes('Exiting normally, received signal 15')) {
+        log('FFmpeg stopped normally by user');
+        return; // Don't treat as error
+      }
+      // Killed for a pause; pauseCapture() takes it from here
+      if (captureState.pauseRequested) {
+        return;
+      }
+      
+      logError('FFmpeg error', err);
+      captureState.isCapturing = false;
+      captureState.isPaused = false;
+
+      if (videosCollection) {
+        await videosCollection.updateOne(
+          { recordingId },
+          { $set: { status: 'error', error: errorMsg, updatedAt: new Date() } }
+        );
+      }
+
+      // Segments closed before the crash are still good - keep uploading them
+      if (segmentDir) {
+        stopSegmentWatcher(recordingId)
+          .then(() => refreshSegmentDestinations(recordingId))
+          .catch((segmentErr) => logError('Segment finalize error', segmentErr));
+      }
+
+      io.emit('captureError', { error: errorMsg });
+    })
+    .on('end', async () => {
+      resetPreviewHub();
+
+      // If stop or pause was requested, those handle cleanup
+      if (captureState.stopRequested || captureState.pauseRequested) {
+        return;
+      }
+      
+      // FFmpeg ended naturally (e.g., device disconnected)
+      log('Recording completed');
+      const endTime = new Date();
+      captureState.isCapturing = false;
+      stopAutoStopMonitor();
+
+      // Update database record
+      if (videosCollection) {
+        await videosCollection.updateOne(
+          { recordingId },
+          {
+            $set: {
+              status: 'completed',
+              endTime,
+              duration: getRecordedDuration(recording, endTime),
+              stopReason: 'inputEnded',
+              updatedAt: new Date()
+            }
+          }
+        );
+      }
+
+      // Checksum and queue upload to remote storage (S3 or SFTP)
+      finalizeRecording(recording).catch((err) => logError('Finalize error', err));
+
+      io.emit('captureEnded', { recordingId, endTime, reason: 'inputEnded' });
+      captureState.currentRecording = null;
+    });
+
+  if (watcher) {
+    startSegmentPolling(watcher);
+  }
+  captureState.ffmpegProcess.run();
+}
+
+// Add the audio source as input 1 of a capture command
+function addAudioInput(command, audio) {
+  const options = ['-f', audio.format, '-thread_queue_size', '1024'];
+
+  if (audio.format === 'lavfi') {
+    // Generated sources run faster than real time unless throttled
+    options.push('-re');
+  } else {
+    // Stamp audio with the same wall clock as the video input
+    options.push(
+      '-sample_rate', audio.sampleRate,
+      '-channels', audio.channels,
+      '-use_wallclock_as_timestamps', '1'
+    );
+  }
+
+  command.input(audio.device).inputOptions(options);
+}
+
+// Encoder options for the audio track of the main recording
+function getAudioOutputOptions(audio, extraFilter = null) {
+  if (!audio.enabled) {
+    return ['-an'];
+  }
+
+  return [
+    '-map', '1:a',
+    '-c:a', 'aac',
+    '-b:a', audio.bitrate,
+    '-ar', audio.sampleRate,
+    '-ac', audio.channels,
+    // Stretch/squeeze audio to follow its timestamps so it stays in sync with video
+    '-af', ['aresample=async=1000', extraFilter].filter(Boolean).join(',')
+  ];
+}
+
+// Stop video capture
+async function stopCapture() {
+  if (!captureState.isCapturing || (!captureState.ffmpegProcess && !captureState.isPaused)) {
+    throw new Error('Not capturing');
+  }
+  if (captureState.pauseRequested) {
+    throw new Error('Capture is pausing, try again in a moment');
+  }
+
+  log('Stopping capture...');
+  captureState.stopRequested = true;
+
+  // Paused: ffmpeg has already exited
+  if (captureState.isPaused) {
+    captureState.isPaused = false;
+    return { success: true };
+  }
+
+  return await stopCaptureProcess(2000);
+}
+
+// SIGTERM lets ffmpeg write the file's trailer before exiting. With
+// killOnTimeout, an ffmpeg that has not exited in time gets SIGKILL and the
+// promise waits for it to be gone, so the device is free once it resolves.
+function stopCaptureProcess(timeoutMs, { killOnTimeout = false } = {}) {
+  stopAutoStopMonitor();
+
+  return new Promise((resolve, reject) => {
+    let resolved = false;
+    let killed = false;
+    
+    // Handle the process ending after kill
+    captureState.ffmpegProcess.on('end', () => {
+      if (!resolved) {
+        resolved = true;
+        log('Capture stopped successfully');
+        resolve({ success: true });
+      }
+    }).on('error', (err) => {
+      // Ignore signal 15 errors - that's expected
+      if (err.message && err.message.includes('signal 15')) {
+        if (!resolved) {
+          resolved = true;
+          log('Capture stopped successfully (SIGTERM)');
+          resolve({ success: true });
+        }
+        return;
+      }
+      if (killed && !resolved) {
+        resolved = true;
+        log('Capture stopped (SIGKILL)', 'WARN');
+        resolve({ success: true });
+        return;
+      }
+      if (!resolved) {
+        resolved = true;
+        reject(err);
+      }
+    });
+
+    // Send SIGTERM to gracefully stop FFmpeg
+    const ffmpegProcess = captureState.ffmpegProcess;
+    ffmpegProcess.kill('SIGTERM');
+    
+    // Timeout in case end/error doesn't fire
+    setTimeout(() => {
+      if (!resolved && killOnTimeout) {
+        killed = true;
+        log(`FFmpeg did not exit within ${timeoutMs}ms, sending SIGKILL`, 'WARN');
+        ffmpegProcess.kill('SIGKILL');
+      } else if (!resolved) {
+        resolved = true;
+        log('Capture stopped (timeout)');
+        resolve({ success: true });
+      }
+    }, timeoutMs);
+  });
+}
+
+// Stop the capture and mark it completed, then checksum and upload it
+// in the background. `reason` is stored as stopReason and sent with captureEnded.
+async function stopAndFinalizeCapture(reason = 'manual') {
+  const recordingId = captureState.currentRecording?.recordingId;
+  const result = await stopCapture();
+
+  // Finalize the recording after successful stop
+  if (result.success && recordingId) {
+    const endTime = new Date();
+    const current = captureState.currentRecording;
+
+    // Update database record
+    if (videosCollection) {
+      await videosCollection.updateOne(
+        { recordingId },
+        {
+          $set: {
+            status: 'completed',
+            endTime,
+            duration: current ? getRecordedDuration(current, endTime) : 0,
+            paused: false,
+            stopReason: reason,
+            updatedAt: new Date()
+          }
+        }
+      );
+    }
+
+    // Checksum and queue upload to remote storage
+    if (current) {
+      finalizeRecording(current).catch((err) => logError('Finalize error', err));
+    }
+
+    io.emit('captureEnded', { recordingId, endTime, reason });
+    captureState.isCapturing = false;
+    captureState.currentRecording = null;
+    captureState.stopRequested = false;
+  }
+
+  return result;
+}
+
+// Automatic stop rules
+// Each capture run gets a monitor that reads ffmpeg's stderr: blackdetect and
+// silencedetect output, v4l2 read errors, and the frame counter in the
+// stats lines. When a rule fires the capture is stopped like the stop
+// button would, with the rule's name as the stop reason.
+const AUTO_STOP_CHECK_MS = 1000;
+// v4l2 errors ffmpeg logs when the device goes away or stops delivering frames
+const SIGNAL_LOSS_PATTERN = /VIDIOC_DQBUF|No such device|Input\/output error/;
+const AUTO_STOP_DESCRIPTIONS = {
+  maxDuration: () => `reached the maximum duration of ${AUTO_STOP_RULES.maxMinutes} minute(s)`,
+  black: () => `${AUTO_STOP_RULES.blackSeconds}s of black frames`,
+  silence: () => `${AUTO_STOP_RULES.silenceSeconds}s of silence`,
+  signalLoss: () => 'input signal lost'
+};
+
+// blackdetect only logs an interval once it is over, so print the frame
+// metadata it sets to see when black starts
+function getBlackDetectFilter() {
+  if (!AUTO_STOP_RULES.blackSeconds) {
+    return '';
+  }
+  return ',blackdetect=d=0:pic_th=0.98,metadata=mode=print:key=lavfi.black_start';
+}
+
+// silencedetect logs silence_start once the silence has lasted `d` seconds
+function getSilenceDetectFilter() {
+  if (!AUTO_STOP_RULES.silenceSeconds) {
+    return null;
+  }
+  return `silencedetect=noise=${AUTO_STOP_RULES.silenceNoise}:d=${AUTO_STOP_RULES.silenceSeconds}`;
+}
+
+function startAutoStopMonitor(recording) {
+  stopAutoStopMonitor();
+
+  const { maxMinutes, blackSeconds, silenceSeconds, signalLossSeconds } = AUTO_STOP_RULES;
+  if (!maxMinutes && !blackSeconds && !silenceSeconds && !signalLossSeconds) {
+    return;
+  }
+
+  const monitor = {
+    recording,
+    blackSince: null,
+    frames: 0,
+    lastFrameAt: Date.now(),
+    fired: false,
+    timer: null
+  };
+  monitor.timer = setInterval(() => checkAutoStopRules(monitor), AUTO_STOP_CHECK_MS);
+  captureState.autoStopMonitor = monitor;
+}
+
+function stopAutoStopMonitor() {
+  const monitor = captureState.autoStopMonitor;
+  if (monitor) {
+    clearInterval(monitor.timer);
+    captureState.autoStopMonitor = null;
+  }
+}
+
+function handleAutoStopLine(monitor, line) {
+  // Not the 'progress' event: fluent-ffmpeg would ffprobe the busy device for it
+  const progress = line.match(/^frame=\s*(\d+)/);
+  if (progress) {
+    const frames = Number(progress[1]);
+    if (frames > monitor.frames) {
+      monitor.frames = frames;
+      monitor.lastFrameAt = Date.now();
+    }
+  } else if (line.includes('lavfi.black_start=')) {
+    monitor.blackSince = monitor.blackSince || Date.now();
+  } else if (line.includes('black_end:')) {
+    monitor.blackSince = null;
+  } else if (AUTO_STOP_RULES.silenceSeconds && line.includes('silence_start:')) {
+    triggerAutoStop(monitor, 'silence');
+  } else if (AUTO_STOP_RULES.signalLossSeconds && SIGNAL_LOSS_PATTERN.test(line)) {
+    triggerAutoStop(monitor, 'signalLoss');
+  }
+}
+
+function checkAutoStopRules(monitor) {
+  const { maxMinutes, blackSeconds, signalLossSeconds } = AUTO_STOP_RULES;
+  const now = Date.now();
+
+  if (maxMinutes && getRecordedDuration(monitor.recording, new Date(now)) >= maxMinutes * 60) {
+    triggerAutoStop(monitor, 'maxDuration');
+  } else if (blackSeconds && monitor.blackSince && now - monitor.blackSince >= blackSeconds * 1000) {
+    triggerAutoStop(monitor, 'black');
+  } else if (signalLossSeconds && now - monitor.lastFrameAt >= signalLossSeconds * 1000) {
+    // The frame counter has stopped moving
+    triggerAutoStop(monitor, 'signalLoss');
+  }
+}
+
+function triggerAutoStop(monitor, reason) {
+  if (monitor.fired || captureState.autoStopMonitor !== monitor) {
+    return;
+  }
+  monitor.fired = true;
+
+  log(`Auto-stopping ${monitor.recording.recordingId}: ${AUTO_STOP_DESCRIPTIONS[reason]()}`, 'WARN');
+  stopAndFinalizeCapture(reason).catch((err) => logError('Auto-stop failed', err));
+}
+
+// Seconds actually recorded: wall time minus pauses. A pause still open at
+// endTime (stopped while paused) runs until endTime.
+function getRecordedDuration(recording, endTime) {
+  const pausedMs = (recording.pauses || []).reduce((total, pause) => {
+    const resumedAt = pause.resumedAt ? new Date(pause.resumedAt) : endTime;
+    return total + (resumedAt - new Date(pause.pausedAt));
+  }, 0);
+  return Math.max(0, (endTime - new Date(recording.startTime) - pausedMs) / 1000);
+}
+
+// Pause: end the current ffmpeg run so the file (or segment) is closed cleanly
+async function pauseCapture() {
+  const recording = captureState.currentRecording;
+  if (!captureState.isCapturing || !recording) {
+    throw new Error('Not capturing');
+  }
+  if (captureState.isPaused || captureState.pauseRequested) {
+    throw new Error('Already paused');
+  }
+
+  log('Pausing capture...');
+  captureState.pauseRequested = true;
+  try {
+    // Give ffmpeg long enough to finish writing; resume needs the device free.
+    // Only resolves once the run's end/error handlers have seen pauseRequested.
+    await stopCaptureProcess(10000, { killOnTimeout: true });
+  } finally {
+    captureState.pauseRequested = false;
+  }
+  resetPreviewHub();
+
+  const watcher = segmentWatchers.get(recording.recordingId);
+  if (watcher) {
+    await stopSegmentPolling(watcher);
+  }
+
+  const pausedAt = new Date();
+  recording.pauses.push({ pausedAt, resumedAt: null });
+  captureState.isPaused = true;
+  captureState.ffmpegProcess = null;
+
+  if (videosCollection) {
+    await videosCollection.updateOne(
+      { recordingId: recording.recordingId },
+      { $set: { pauses: recording.pauses, paused: true, updatedAt: new Date() } }
+    );
+  }
+
+  io.emit('capturePaused', { recordingId: recording.recordingId, pausedAt });
+  return { success: true, recordingId: recording.recordingId, pausedAt };
+}
+
+// Resume: start a new run that writes the next part or segment
+async function resumeCapture() {
+  const recording = captureState.currentRecording;
+  if (!captureState.isCapturing || !recording) {
+    throw new Error('Not capturing');
+  }
+  if (!captureState.isPaused) {
+    throw new Error('Capture is not paused');
+  }
+
+  try {
+    await checkDeviceAccess(recording.device);
+  } catch (err) {
+    throw new Error('Cannot access video device: ' + err.message);
+  }
+
+  const resumedAt = new Date();
+  const pause = recording.pauses[recording.pauses.length - 1];
+  pause.resumedAt = resumedAt;
+  recording.captureRun += 1;
+  if (!recording.segmented) {
+    const extension = path.extname(recording.captureFilepath);
+    recording.parts.push(path.join(UPLOADS_DIR, `${recording.recordingId}_part${recording.captureRun}${extension}`));
+  }
+
+  const watcher = segmentWatchers.get(recording.recordingId);
+  if (watcher) {
+    advanceSegmentWatcher(watcher);
+  }
+
+  if (videosCollection) {
+    await videosCollection.updateOne(
+      { recordingId: recording.recordingId },
+      {
+        $set: {
+          pauses: recording.pauses,
+          parts: recording.parts,
+          captureRun: recording.captureRun,
+          paused: false,
+          updatedAt: new Date()
+        }
+      }
+    );
+  }
+
+  captureState.isPaused = false;
+  startCaptureProcess(recording);
+
+  const pausedSeconds = (resumedAt - new Date(pause.pausedAt)) / 1000;
+  log(`Capture resumed after ${pausedSeconds.toFixed(1)}s`);
+  io.emit('captureResumed', { recordingId: recording.recordingId, resumedAt, pausedSeconds });
+  return { success: true, recordingId: recording.recordingId, resumedAt };
+}
+
+// Post-capture processing: checksum the file, then hand it to the upload queue.
+// Runs in the background so stopping a capture returns without waiting on disk I/O.
+async function finalizeRecording(recording) {
+  const { recordingId } = recording;
+  let { filepath } = recording;
+
+  // Segments upload on their own; only a joined file goes through the steps below
+  if (recording.segmented && !(await finalizeSegments(recording))) {
+    // No joined file, so describe the segments and take frames from them in order
+    const segmentFiles = (await getSegments(recordingId)).map((segment) => segment.filepath);
+    await exportChapters(recording, null);
+    await storeMediaInfo(recording, segmentFiles);
+    await createArtwork(recording, segmentFiles);
+    // There is no whole-recording upload job to take these along
+    await enqueueCompanionUploads(recordingId);
+    return;
+  }
+  if (!recording.segmented && recording.parts && recording.parts.length > 1) {
+    await joinCaptureParts(recording);
+  }
+  if (recording.remuxStatus === 'pending') {
+    filepath = await finalizeContainer(recording);
+  }
+  await exportChapters(recording, filepath);
+
+  try {
+    await storeRecordingChecksum(recordingId, filepath);
+  } catch (err) {
+    logError(`Checksum failed for ${recordingId}`, err);
+  }
+
+  await storeMediaInfo(recording, [filepath]);
+  // Before the upload is queued, so the images go up with the video
+  await createArtwork(recording, [filepath]);
+  await enqueueUpload(recordingId, filepath);
+}
+
+// Join the runs of a paused recording back into its capture file
+async function joinCaptureParts(recording) {
+  const { recordingId, captureFilepath, parts } = recording;
+  const extension = path.extname(captureFilepath);
+  const joinedPath = path.join(UPLOADS_DIR, `${recordingId}.join${extension}`);
+  const existing = parts.filter((part) => fs.existsSync(part));
+
+  try {
+    await concatSegments(existing, joinedPath);
+    await fs.promises.rename(joinedPath, captureFilepath);
+    for (const part of existing.slice(1)) {
+      await fs.promises.unlink(part).catch(() => {});
+    }
+    await updateRecordingFields(recordingId, { parts: [captureFilepath] });
+    log(`Joined ${existing.length} part(s) of ${recordingId}`);
+  } catch (err) {
+    // Keep the parts; the first one is still uploaded as the recording
+    logError(`Joining parts of ${recordingId} failed`, err);
+    await fs.promises.unlink(joinedPath).catch(() => {});
+    await updateRecordingFields(recordingId, { partsJoinError: err.message });
+  }
+}
+
+// Crash-tolerant containers
+// Fragmented MP4 and Matroska are readable up to the last fragment written, but
+// not every player handles them, so they are remuxed to a faststart MP4 at the end.
+function getContainerOutputOptions(container) {
+  if (container === 'fmp4') {
+    return ['-movflags', 'frag_keyframe+empty_moov+default_base_moof'];
+  }
+  if (container === 'mkv') {
+    return ['-f', 'matroska'];
+  }
+  return [];
+}
+
+function getContentType(filepath) {
+  return path.extname(filepath) === '.mkv' ? 'video/x-matroska' : 'video/mp4';
+}
+
+// Copy the streams into a new container without re-encoding.
+// MP4 output gets its index moved to the front for progressive playback.
+function remuxFile(inputPath, outputPath, inputOptions = []) {
+  const outputOptions = ['-c', 'copy'];
+  if (path.extname(outputPath) === '.mp4') {
+    outputOptions.push('-movflags', '+faststart');
+  }
+
+  return new Promise((resolve, reject) => {
+    ffmpeg()
+      .input(inputPath)
+      .inputOptions(inputOptions)
+      .output(outputPath)
+      .outputOptions(outputOptions)
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+}
+
+// Remux the capture file to a standard MP4 at recording.filepath.
+// Resolves with the file to upload: the MP4, or the capture file if remuxing failed.
+async function finalizeContainer(recording) {
+  const { recordingId, filepath, captureFilepath } = recording;
+  const tempPath = path.join(UPLOADS_DIR, `${recordingId}.remux.mp4`);
+
+  await updateRecordingFields(recordingId, { remuxStatus: 'remuxing' });
+  try {
+    await remuxFile(captureFilepath, tempPath);
+    await fs.promises.rename(tempPath, filepath);
+    if (captureFilepath !== filepath) {
+      await fs.promises.unlink(captureFilepath).catch(() => {});
+    }
+
+    await updateRecordingFields(recordingId, { remuxStatus: 'done', remuxedAt: new Date(), remuxError: null });
+    log(`Remuxed ${recordingId} from ${recording.container} to MP4`);
+    io.emit('recordingFinalized', { recordingId, remuxStatus: 'done' });
+    return filepath;
+  } catch (err) {
+    // The capture file is still playable, so upload that instead
+    logError(`Remux of ${recordingId} failed`, err);
+    await fs.promises.unlink(tempPath).catch(() => {});
+    await updateRecordingFields(recordingId, {
+      remuxStatus: 'failed',
+      remuxError: err.message,
+      filename: path.basename(captureFilepath),
+      filepath: captureFilepath
+    });
+    io.emit('recordingFinalized', { recordingId, remuxStatus: 'failed', error: err.message });
+    return captureFilepath;
+  }
+}
+
+async function updateRecordingFields(recordingId, fields) {
+  if (videosCollection) {
+    await videosCollection.updateOne({ recordingId }, { $set: { ...fields, updatedAt: new Date() } });
+  }
+}
+
+// Segmented recording
+// ffmpeg appends a segment to the CSV list only after closing the file, so
+// every listed segment is complete and can be uploaded while capture goes on.
+const SEGMENT_POLL_MS = 2000;
+const segmentWatchers = new Map();
+
+// Cut on forced keyframes so each segment is close to segmentSeconds long and
+// starts with a keyframe; reset timestamps so every file plays on its own
+// Each capture run (see pauseCapture) gets its own list and continues the numbering.
+function getSegmentOutputOptions(settings, segmentDir, run = 0, startNumber = 0) {
+  const options = [
+    '-force_key_frames', `expr:gte(t,n_forced*${settings.segmentSeconds})`,
+    '-f', 'segment',
+    '-segment_time', settings.segmentSeconds,
+    '-segment_format', settings.container === 'mkv' ? 'matroska' : 'mp4',
+    '-segment_start_number', startNumber,
+    '-reset_timestamps', '1',
+    '-segment_list', getSegmentListPath(segmentDir, run),
+    '-segment_list_type', 'csv'
+  ];
+  if (settings.container === 'fmp4') {
+    options.push('-segment_format_options', 'movflags=frag_keyframe+empty_moov+default_base_moof');
+  }
+  return options;
+}
+
+function getSegmentListPath(segmentDir, run) {
+  return path.join(segmentDir, run > 0 ? `segments_${run}.csv` : 'segments.csv');
+}
+
+function getSegmentFilenamePattern(container) {
+  return `segment_%05d.${container === 'mkv' ? 'mkv' : 'mp4'}`;
+}
+
+// Lines are "filename,start,end" with times in seconds from the capture start
+function parseSegmentList(content) {
+  return content.split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [filename, start, end] = line.split(',');
+      return { filename, start: parseFloat(start), end: parseFloat(end) };
+    });
+}
+
+// listBase and timeOffset carry the segment count and timeline over from
+// earlier runs, whose lists ffmpeg has already closed
+function startSegmentWatcher(recording, segments = []) {
+  const run = recording.captureRun || 0;
+  const earlier = segments.filter((segment) => (segment.run || 0) < run);
+  const watcher = {
+    recording,
+    run,
+    segments,
+    listBase: earlier.length,
+    timeOffset: earlier.length > 0 ? earlier[earlier.length - 1].endOffset : 0,
+    queue: Promise.resolve(),
+    timer: null
+  };
+  segmentWatchers.set(recording.recordingId, watcher);
+  return watcher;
+}
+
+function startSegmentPolling(watcher) {
+  clearInterval(watcher.timer);
+  watcher.timer = setInterval(() => pollSegments(watcher), SEGMENT_POLL_MS);
+}
+
+// Register the rest of the current run's segments and stop polling its list
+async function stopSegmentPolling(watcher) {
+  clearInterval(watcher.timer);
+  watcher.timer = null;
+  await pollSegments(watcher);
+}
+
+// Move on to the next run's list, continuing the timeline where the last segment ended
+function advanceSegmentWatcher(watcher) {
+  const last = watcher.segments[watcher.segments.length - 1];
+  watcher.run += 1;
+  watcher.listBase = watcher.segments.length;
+  watcher.timeOffset = last ? last.endOffset : watcher.timeOffset;
+}
+
+// Polls are chained so a segment is never registered twice
+function pollSegments(watcher) {
+  watcher.queue = watcher.queue
+    .then(() => registerNewSegments(watcher))
+    .catch((err) => logError('Segment watcher error', err));
+  return watcher.queue;
+}
+
+// Pick up anything ffmpeg wrote while stopping, then stop polling.
+// Resolves with the completed segments in order.
+async function stopSegmentWatcher(recordingId) {
+  const watcher = segmentWatchers.get(recordingId);
+  if (!watcher) {
+    return [];
+  }
+
+  await stopSegmentPolling(watcher);
+  segmentWatchers.delete(recordingId);
+  return watcher.segments;
+}
+
+async function registerNewSegments(watcher) {
+  let content;
+  try {
+    content = await fs.promises.readFile(getSegmentListPath(watcher.recording.segmentDir, watcher.run), 'utf8');
+  } catch (err) {
+    // No segment has been closed yet
+    if (err.code === 'ENOENT') {
+      return;
+    }
+    throw err;
+  }
+
+  const entries = parseSegmentList(content);
+  for (const entry of entries.slice(watcher.segments.length - watcher.listBase)) {
+    await registerSegment(watcher, {
+      ...entry,
+      start: entry.start + watcher.timeOffset,
+      end: entry.end + watcher.timeOffset
+    });
+  }
+}
+
+// Record a closed segment as a child of the recording and queue its upload
+async function registerSegment(watcher, entry) {
+  const { recordingId, segmentDir } = watcher.recording;
+  const index = watcher.segments.length;
+  const filepath = path.join(segmentDir, entry.filename);
+  const segment = {
+    _id: new ObjectId(),
+    recordingId,
+    index,
+    run: watcher.run,
+    filename: entry.filename,
+    filepath,
+    startOffset: entry.start,
+    endOffset: entry.end,
+    duration: entry.end - entry.start,
+    size: getLocalFileSize(filepath),
+    destinations: [],
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+  watcher.segments.push(segment);
+
+  if (segmentsCollection) {
+    await segmentsCollection.insertOne(segment);
+    await videosCollection.updateOne(
+      { recordingId },
+      { $set: { segmentCount: index + 1, updatedAt: new Date() } }
+    );
+  }
+
+  log(`Segment ${index} of ${recordingId} complete (${segment.duration.toFixed(1)}s)`);
+  io.emit('segmentCompleted', { recordingId, index, filename: entry.filename, duration: segment.duration });
+
+  try {
+    await storeRecordingChecksum(recordingId, filepath, index);
+  } catch (err) {
+    logError(`Checksum failed for segment ${index} of ${recordingId}`, err);
+  }
+  await enqueueUpload(recordingId, filepath, { segmentIndex: index });
+}
+
+// Collect the last segments and join them if requested.
+// Resolves true when a joined file exists and should be uploaded as well.
+async function finalizeSegments(recording) {
+  const { recordingId, filepath } = recording;
+  const segments = await stopSegmentWatcher(recordingId);
+
+  if (!recording.joinSegments) {
+    await refreshSegmentDestinations(recordingId);
+    return false;
+  }
+
+  await updateRecordingFields(recordingId, { joinStatus: 'joining' });
+  try {
+    if (segments.length === 0) {
+      throw new Error('No completed segments to join');
+    }
+    await concatSegments(segments.map((segment) => segment.filepath), filepath);
+    await updateRecordingFields(recordingId, { joinStatus: 'joined', joinedAt: new Date(), joinError: null });
+    log(`Joined ${segments.length} segment(s) of ${recordingId} into ${path.basename(filepath)}`);
+    return true;
+  } catch (err) {
+    // The uploaded segments still cover the recording, so report on those instead
+    logError(`Joining segments of ${recordingId} failed`, err);
+    await updateRecordingFields(recordingId, { joinStatus: 'failed', joinError: err.message, joinSegments: false });
+    await refreshSegmentDestinations(recordingId);
+    return false;
+  }
+}
+
+// Join segment files without re-encoding using ffmpeg's concat demuxer
+async function concatSegments(segmentFiles, outputPath) {
+  const listPath = `${outputPath}.concat.txt`;
+  await writeConcatList(segmentFiles, listPath);
+
+  try {
+    await remuxFile(listPath, outputPath, ['-f', 'concat', '-safe', '0']);
+  } finally {
+    await fs.promises.unlink(listPath).catch(() => {});
+  }
+}
+
+async function getSegments(recordingId) {
+  if (!segmentsCollection) {
+    return [];
+  }
+  return await segmentsCollection.find({ recordingId }).sort({ index: 1 }).toArray();
+}
+
+// File list for ffmpeg's concat demuxer
+async function writeConcatList(files, listPath) {
+  const list = files
+    .map((file) => `file '${path.resolve(file).replace(/'/g, "'\\''")}'`)
+    .join('\n');
+  await fs.promises.writeFile(listPath, list + '\n');
+}
+
+// A segmented recording without a joined file counts as uploaded to a
+// destination once every segment is. Roll the segment states up into the
+// recording's destinations so the queue UI and retention treat it as one file.
+async function refreshSegmentDestinations(recordingId) {
+  if (!videosCollection) {
+    return;
+  }
+  const recording = await videosCollection.findOne({ recordingId });
+  if (!recording?.segmented || recording.joinSegments) {
+    return;
+  }
+
+  const segments = await getSegments(recordingId);
+  const targets = [...new Set(segments.flatMap((segment) => segment.destinations.map((dest) => dest.target)))];
+  const destinations = targets.map((target) => {
+    const entries = segments.map((segment) => segment.destinations.find((dest) => dest.target === target));
+    const statuses = entries.map((dest) => dest ? dest.status : 'queued');
+    let status = UPLOAD_STATUS_PRECEDENCE.find((candidate) => statuses.includes(candidate));
+    if (status === 'uploaded' && recording.status === 'recording') {
+      // More segments are on the way
+      status = 'uploading';
+    }
+
+    const uploaded = entries.filter((dest) => dest && dest.status === 'uploaded');
+    const failed = entries.find((dest) => dest && dest.error);
+    const firstLocation = uploaded.length > 0 ? uploaded[0].location : null;
+    // Companion file locations are set by their own upload jobs, not by the segments
+    const previous = (recording.destinations || []).find((dest) => dest.target === target) || {};
+    const companions = Object.keys(COMPANION_FILES).filter((field) => previous[field]).map((field) => [field, previous[field]]);
+    return {
+      ...Object.fromEntries(companions),
+      target,
+      status,
+      // The folder holding the segments
+      location: firstLocation ? firstLocation.slice(0, firstLocation.lastIndexOf('/')) : null,
+      error: failed ? failed.error : null,
+      segmentsUploaded: uploaded.length,
+      uploadedAt: uploaded.length > 0 ? new Date(Math.max(...uploaded.map((dest) => new Date(dest.uploadedAt).getTime()))) : null,
+      verified: uploaded.length === entries.length && uploaded.every((dest) => dest.verified)
+    };
+  });
+
+  await videosCollection.updateOne(
+    { recordingId },
+    { $set: { destinations, updatedAt: new Date() } }
+  );
+  await refreshUploadSummary(recordingId);
+}
+
+// Poster frames and contact sheets
+// Once a recording is finalized, a poster frame (<recordingId>_poster.jpg) and
+// a tiled contact sheet (<recordingId>_contact.jpg) are written next to the
+// video and referenced from its document as `artwork`. They are uploaded with
+// the video and kept when the retention policy deletes it.
+const POSTER_WIDTH = 640;
+const CONTACT_SHEET_TILE_WIDTH = 320;
+// Long recordings space their tiles further apart instead of growing the sheet
+const CONTACT_SHEET_MAX_TILES = 48;
+const ARTWORK_KINDS = {
+  poster: 'posterPath',
+  'contact-sheet': 'contactSheetPath'
+};
+
+function renderImage(input, inputOptions, outputPath, outputOptions) {
+  return new Promise((resolve, reject) => {
+    ffmpeg()
+      .input(input)
+      .inputOptions(inputOptions)
+      .output(outputPath)
+      .outputOptions(['-an', '-frames:v', '1', '-update', '1', ...outputOptions])
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+}
+
+// Make the poster and contact sheet from `sources`, one file or segments in order
+async function generateArtwork(recordingId, dir, sources) {
+  const posterPath = path.join(dir, `${recordingId}_poster.jpg`);
+  const contactSheetPath = path.join(dir, `${recordingId}_contact.jpg`);
+
+  let duration = 0;
+  for (const source of sources) {
+    duration += await probeDuration(source);
+  }
+  if (duration <= 0) {
+    throw new Error('No video to take frames from');
+  }
+
+  const interval = Math.max(THUMBNAIL_INTERVAL_SECONDS, Math.ceil(duration / CONTACT_SHEET_MAX_TILES));
+  const tiles = Math.max(1, Math.ceil(duration / interval));
+  const columns = Math.min(CONTACT_SHEET_COLUMNS, tiles);
+  const rows = Math.ceil(tiles / columns);
+
+  let input = sources[0];
+  let inputOptions = [];
+  const listPath = `${contactSheetPath}.concat.txt`;
+  if (sources.length > 1) {
+    await writeConcatList(sources, listPath);
+    input = listPath;
+    inputOptions = ['-f', 'concat', '-safe', '0'];
+  }
+
+  try {
+    // A tenth of the way in skips the usual black frames at the start
+    await renderImage(input, [...inputOptions, '-ss', Math.min(duration * 0.1, 30).toFixed(2)], posterPath, [
+      '-vf', `scale=${POSTER_WIDTH}:-2`,
+      '-q:v', '3'
+    ]);
+    // Decoding keyframes only keeps this quick on long recordings
+    await renderImage(input, [...inputOptions, '-skip_frame', 'nokey'], contactSheetPath, [
+      '-vf', `fps=1/${interval},scale=${CONTACT_SHEET_TILE_WIDTH}:-2,tile=${columns}x${rows}:padding=4:margin=4`,
+      '-q:v', '4'
+    ]);
+  } finally {
+    if (input === listPath) {
+      await fs.promises.unlink(listPath).catch(() => {});
+    }
+  }
+
+  return { posterPath, contactSheetPath, interval, tiles, columns, generatedAt: new Date() };
+}
+
+// Failures are recorded on the document but never hold up the upload
+async function createArtwork(recording, sources) {
+  const { recordingId } = recording;
+  try {
+    const artwork = await generateArtwork(recordingId, path.dirname(recording.filepath), sources);
+    await updateRecordingFields(recordingId, { artwork, artworkError: null });
+    log(`Created poster and contact sheet for ${recordingId} (${artwork.tiles} tile(s), every ${artwork.interval}s)`);
+    io.emit('artworkCreated', { recordingId });
+  } catch (err) {
+    logError(`Creating artwork for ${recordingId} failed`, err);
+    await updateRecordingFields(recordingId, { artworkError: err.message });
+  }
+}
+
+function getArtworkFiles(recording) {
+  const artwork = recording?.artwork;
+  if (!artwork) {
+    return [];
+  }
+  return [artwork.posterPath, artwork.contactSheetPath].filter((file) => file && fs.existsSync(file));
+}
+
+function getChaptersFiles(recording) {
+  const file = recording?.chapters?.sidecarPath;
+  return file && fs.existsSync(file) ? [file] : [];
+}
+
+const COMPANION_CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.vtt': 'text/vtt'
+};
+
+// Upload small files that go with the video (artwork, chapters) next to it on
+// `target`; getFiles picks them from the recording. Resolves with their locations.
+async function uploadCompanionFiles(recordingId, target, getFiles) {
+  if (target !== 'sftp' && target !== 's3') {
+    return null;
+  }
+
+  const recording = videosCollection ? await videosCollection.findOne({ recordingId }) : null;
+  const files = getFiles(recording);
+  if (files.length === 0) {
+    return null;
+  }
+
+  const locations = [];
+  if (target === 'sftp') {
+    const sftp = new SftpClient();
+    const remoteDir = `${SFTP_CONFIG.uploadDir}/${recordingId}`;
+    try {
+      await sftp.connect(getSFTPConnectOptions());
+      await sftp.mkdir(remoteDir, true).catch(() => {});
+      for (const file of files) {
+        const remotePath = `${remoteDir}/${path.basename(file)}`;
+        await sftp.put(file, remotePath);
+        locations.push(`sftp://${SFTP_CONFIG.username}@${SFTP_CONFIG.host}${remotePath}`);
+      }
+    } finally {
+      await sftp.end().catch(() => {});
+    }
+  } else {
+    const bucket = process.env.AWS_S3_BUCKET;
+    const s3Folder = process.env.AWS_S3_FOLDER || 'videos';
+    for (const file of files) {
+      const key = `${s3Folder}/${recordingId}/${path.basename(file)}`;
+      const contentType = COMPANION_CONTENT_TYPES[path.extname(file)] || 'application/octet-stream';
+      await s3.putObject({ Bucket: bucket, Key: key, Body: fs.createReadStream(file), ContentType: contentType }).promise();
+      locations.push(s3ObjectUrl(bucket, key));
+    }
+  }
+  return locations;
+}
+
+// A segmented recording that is not joined has no whole-recording upload job
+// to take its companion files along, so each kind gets an upload job of its
+// own (`companion` on the job) once finalize made them. Their locations go on
+// the recording's destination entries, like a whole recording's.
+const COMPANION_FILES = {
+  artwork: getArtworkFiles,
+  chapters: getChaptersFiles
+};
+
+async function enqueueCompanionUploads(recordingId, targets = UPLOAD_DESTINATIONS) {
+  if (!uploadJobsCollection) {
+    return [];
+  }
+
+  const recording = await videosCollection.findOne({ recordingId });
+  const jobs = [];
+  for (const target of targets.filter((dest) => dest === 'sftp' || dest === 's3')) {
+    for (const [companion, getFiles] of Object.entries(COMPANION_FILES)) {
+      if (getFiles(recording).length === 0) {
+        continue;
+      }
+      const now = new Date();
+      const job = {
+        _id: new ObjectId(),
+        recordingId,
+        segmentIndex: null,
+        companion,
+        filepath: null,
+        target,
+        status: 'pending',
+        attempts: 0,
+        maxAttempts: UPLOAD_MAX_ATTEMPTS,
+        nextAttemptAt: now,
+        lastError: null,
+        createdAt: now,
+        updatedAt: now
+      };
+      await uploadJobsCollection.insertOne(job);
+      log(`Upload queued for ${describeUploadJob(job)} (${target})`);
+      jobs.push(job);
+    }
+  }
+
+  processUploadQueue().catch((err) => logError('Upload queue error', err));
+  return jobs;
+}
+
+// Companion files are small and have no checksum of their own to verify
+async function runCompanionUploadJob(job) {
+  const { recordingId, companion, target } = job;
+  const label = describeUploadJob(job);
+  log(`Uploading ${label} to ${target} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+  try {
+    const locations = await uploadCompanionFiles(recordingId, target, COMPANION_FILES[companion]);
+    await uploadJobsCollection.updateOne(
+      { _id: job._id },
+      { $set: { status: 'completed', completedAt: new Date(), lastError: null, updatedAt: new Date() } }
+    );
+    if (locations) {
+      await setDestinationState(recordingId, target, { [companion]: locations });
+      log(`Uploaded ${label} to ${target}`);
+    }
+  } catch (uploadError) {
+    logError(`Upload error (${label}, ${target})`, uploadError);
+
+    const dead = job.attempts >= job.maxAttempts;
+    const nextAttemptAt = dead ? null : new Date(Date.now() + getUploadRetryDelay(job.attempts));
+    await uploadJobsCollection.updateOne(
+      { _id: job._id },
+      { $set: { status: dead ? 'dead' : 'pending', nextAttemptAt, lastError: uploadError.message, updatedAt: new Date() } }
+    );
+    if (dead) {
+      log(`Upload of ${label} to ${target} moved to dead-letter after ${job.attempts} attempts`, 'ERROR');
+    } else {
+      log(`Upload of ${label} to ${target} will retry at ${nextAttemptAt.toISOString()}`);
+    }
+  }
+}
+
+// Media metadata
+// After finalize, ffprobe reports what actually ended up in the file. It is
+// stored as `media` on the video document, next to the wall-clock `duration`,
+// and compared against it and the capture settings. `warnings` lists anything
+// that looks wrong, such as dropped frames.
+// Wall-clock and media duration may differ by this much before it is flagged
+const MEDIA_DURATION_TOLERANCE_SECONDS = 2;
+const MEDIA_DURATION_TOLERANCE_RATIO = 0.02;
+const MEDIA_FRAMERATE_TOLERANCE_RATIO = 0.05;
+const MEDIA_DROPPED_FRAMES_RATIO = 0.02;
+
+function probeMedia(filepath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filepath, (err, metadata) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(metadata);
+    });
+  });
+}
+
+// '30000/1001' -> 29.97
+function parseFrameRate(rate) {
+  const [num, den] = String(rate || '').split('/').map(Number);
+  if (!num || !den) {
+    return null;
+  }
+  return Math.round((num / den) * 100) / 100;
+}
+
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Sum up the probes of one file, or of segments in order
+function summarizeMedia(probes) {
+  const first = probes[0];
+  const video = first.streams.find((stream) => stream.codec_type === 'video');
+  const audio = first.streams.find((stream) => stream.codec_type === 'audio');
+
+  const duration = probes.reduce((total, probe) => total + (toNumber(probe.format.duration) || 0), 0);
+  const size = probes.reduce((total, probe) => total + (toNumber(probe.format.size) || 0), 0);
+  // nb_frames is missing from some containers (MKV); counting would mean decoding everything
+  const frameCounts = probes.map((probe) => {
+    const stream = probe.streams.find((s) => s.codec_type === 'video');
+    return stream ? toNumber(stream.nb_frames) : null;
+  });
+  const frames = frameCounts.every((count) => count !== null) ? frameCounts.reduce((a, b) => a + b, 0) : null;
+
+  return {
+    container: first.format.format_name,
+    duration: Math.round(duration * 1000) / 1000,
+    size,
+    bitrate: duration > 0 ? Math.round((size * 8) / duration) : null,
+    files: probes.length,
+    video: video ? {
+      codec: video.codec_name,
+      profile: video.profile || null,
+      width: video.width,
+      height: video.height,
+      frameRate: parseFrameRate(video.avg_frame_rate) || parseFrameRate(video.r_frame_rate),
+      frames,
+      pixelFormat: video.pix_fmt || null,
+      bitrate: toNumber(video.bit_rate)
+    } : null,
+    audio: audio ? {
+      codec: audio.codec_name,
+      sampleRate: toNumber(audio.sample_rate),
+      channels: audio.channels,
+      bitrate: toNumber(audio.bit_rate)
+    } : null
+  };
+}
+
+// Compare the probed media with the wall clock and the capture settings
+function checkMedia(media, recording) {
+  const warnings = [];
+  const settings = recording.captureSettings || {};
+  const wallClock = toNumber(recording.duration);
+
+  if (!media.video) {
+    warnings.push({ code: 'noVideo', message: 'The file has no video stream' });
+  }
+  if (settings.audio?.enabled && !media.audio) {
+    warnings.push({ code: 'noAudio', message: 'Audio was enabled but the file has no audio stream' });
+  }
+
+  if (wallClock) {
+    const gap = wallClock - media.duration;
+    if (Math.abs(gap) > Math.max(MEDIA_DURATION_TOLERANCE_SECONDS, wallClock * MEDIA_DURATION_TOLERANCE_RATIO)) {
+      warnings.push({
+        code: 'durationGap',
+        message: gap > 0 ?
+          `Media is ${gap.toFixed(1)}s shorter than the recording time; frames were probably dropped` :
+          `Media is ${(-gap).toFixed(1)}s longer than the recording time`
+      });
+    }
+  }
+
+  const expectedRate = toNumber(settings.framerate);
+  if (media.video && expectedRate) {
+    if (media.video.frames !== null && wallClock) {
+      const expectedFrames = Math.round(wallClock * expectedRate);
+      const dropped = expectedFrames - media.video.frames;
+      if (dropped > expectedFrames * MEDIA_DROPPED_FRAMES_RATIO) {
+        media.video.droppedFrames = dropped;
+        warnings.push({ code: 'droppedFrames', message: `${dropped} of ${expectedFrames} expected frames are missing` });
+      }
+    }
+    if (media.video.frameRate && Math.abs(media.video.frameRate - expectedRate) > expectedRate * MEDIA_FRAMERATE_TOLERANCE_RATIO) {
+      warnings.push({ code: 'frameRate', message: `Frame rate is ${media.video.frameRate} fps, ${expectedRate} fps was requested` });
+    }
+  }
+
+  if (media.video && settings.resolution && settings.resolution !== `${media.video.width}x${media.video.height}`) {
+    warnings.push({
+      code: 'resolution',
+      message: `Resolution is ${media.video.width}x${media.video.height}, ${settings.resolution} was requested`
+    });
+  }
+
+  return warnings;
+}
+
+// Probe `sources` and store the result; failures never hold up the upload
+async function storeMediaInfo(recording, sources) {
+  const { recordingId } = recording;
+  try {
+    if (sources.length === 0) {
+      throw new Error('No media files to probe');
+    }
+
+    const probes = [];
+    for (const source of sources) {
+      probes.push(await probeMedia(source));
+    }
+
+    // The stored document has the wall-clock duration set at stop
+    const stored = videosCollection ? await videosCollection.findOne({ recordingId }) : null;
+    const media = summarizeMedia(probes);
+    media.wallClockDuration = toNumber(stored?.duration);
+    media.warnings = checkMedia(media, { ...recording, ...stored });
+    media.probedAt = new Date();
+
+    await updateRecordingFields(recordingId, { media, mediaError: null });
+    if (media.warnings.length > 0) {
+      log(`Media check for ${recordingId}: ${media.warnings.map((warning) => warning.message).join('; ')}`, 'WARN');
+    }
+    return media;
+  } catch (err) {
+    logError(`Probing ${recordingId} failed`, err);
+    await updateRecordingFields(recordingId, { mediaError: err.message });
+    return null;
+  }
+}
+
+// Local files of a recording: the file itself, or its segments when they
+// were never joined. Missing files are left out.
+async function getLocalSources(recording) {
+  let sources = [recording.filepath];
+  if (recording.segmented && !fs.existsSync(recording.filepath)) {
+    sources = (await getSegments(recording.recordingId)).map((segment) => segment.filepath);
+  }
+  return sources.filter((file) => fs.existsSync(file));
+}
+
+// Clips
+// A clip is a new recording cut out of an existing one and linked to it by
+// parentRecordingId. Once cut it is finalized like any other recording, so it
+// gets a checksum, media info and artwork and goes through the upload queue.
+// Clips are cut one at a time at a lower CPU priority than the capture.
+const clipState = {
+  queue: Promise.resolve()
+};
+
+// "95", "95.5", "1:35" or "00:01:35.500" -> seconds
+function parseTimestamp(value, name) {
+  const parts = String(value ?? '').trim().split(':');
+  if (parts.length > 3 || !parts.every((part) => /^\d+(\.\d+)?$/.test(part))) {
+    throw new Error(`Invalid ${name} point: ${value}`);
+  }
+  return parts.reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+// The keyframe nearest to `time`, if one is within CLIP_KEYFRAME_TOLERANCE_SECONDS
+async function findKeyframeNear(input, inputOptions, time) {
+  const from = Math.max(0, time - CLIP_KEYFRAME_TOLERANCE_SECONDS);
+  const to = time + CLIP_KEYFRAME_TOLERANCE_SECONDS;
+  const result = await runCommand('ffprobe', [
+    '-v', 'error',
+    ...inputOptions,
+    '-select_streams', 'v:0',
+    '-skip_frame', 'nokey',
+    '-show_entries', 'frame=pts_time',
+    '-of', 'csv=p=0',
+    '-read_intervals', `${from.toFixed(3)}%${to.toFixed(3)}`,
+    input
+  ], 60000);
+  if (result.error) {
+    log(`Keyframe probe failed, re-encoding: ${result.stderr.trim() || result.error.message}`, 'WARN');
+    return null;
+  }
+
+  const keyframes = result.stdout.split('\n').map(parseFloat).filter(Number.isFinite);
+  let nearest = null;
+  for (const keyframe of keyframes) {
+    if (Math.abs(keyframe - time) <= CLIP_KEYFRAME_TOLERANCE_SECONDS &&
+        (nearest === null || Math.abs(keyframe - time) < Math.abs(nearest - time))) {
+      nearest = keyframe;
+    }
+  }
+  return nearest;
+}
+
+function cutClip(input, inputOptions, outputPath, outputOptions) {
+  return new Promise((resolve, reject) => {
+    ffmpeg({ niceness: 10 })
+      .input(input)
+      .inputOptions(inputOptions)
+      .output(outputPath)
+      .outputOptions(['-map', '0:v:0', '-map', '0:a?', ...outputOptions, '-movflags', '+faststart'])
+      .on('start', (commandLine) => log('Clip FFmpeg started: ' + commandLine))
+      .on('end', resolve)
+      .on('error', reject)
+      .run();
+  });
+}
+
+// Cut [inPoint, outPoint) out of `sources`; resolves with how it was done
+async function extractClip(sources, outputPath, inPoint, outPoint, settings) {
+  let input = sources[0];
+  let inputOptions = [];
+  const listPath = `${outputPath}.concat.txt`;
+  if (sources.length > 1) {
+    await writeConcatList(sources, listPath);
+    input = listPath;
+    inputOptions = ['-f', 'concat', '-safe', '0'];
+  }
+
+  try {
+    const keyframe = await findKeyframeNear(input, inputOptions, inPoint);
+    if (keyframe !== null) {
+      await cutClip(input, [...inputOptions, '-ss', keyframe.toFixed(3)], outputPath, [
+        '-t', (outPoint - keyframe).toFixed(3),
+        '-c', 'copy',
+        '-avoid_negative_ts', 'make_zero'
+      ]);
+      return { method: 'copy', start: keyframe };
+    }
+
+    // Input seeking decodes from the keyframe before and drops frames up to the in point
+    const audio = getAudioConfig(settings);
+    await cutClip(input, [...inputOptions, '-ss', inPoint.toFixed(3)], outputPath, [
+      '-t', (outPoint - inPoint).toFixed(3),
+      ...getVideoOutputOptions(settings),
+      '-c:a', 'aac',
+      '-b:a', audio.bitrate
+    ]);
+    return { method: 'encode', start: inPoint };
+  } finally {
+    if (input === listPath) {
+      await fs.promises.unlink(listPath).catch(() => {});
+    }
+  }
+}
+
+async function createClip(parent, input = {}) {
+  if (!videosCollection) {
+    throw new Error('Clips require a database connection');
+  }
+  if (parent.status === 'recording') {
+    throw new Error('Recording is still in progress');
+  }
+  if (parent.localDeleted) {
+    throw new Error('Local copy was deleted by the retention policy');
+  }
+
+  const inPoint = parseTimestamp(input.in, 'in');
+  let outPoint = parseTimestamp(input.out, 'out');
+  if (outPoint <= inPoint) {
+    throw new Error('The out point must be after the in point');
+  }
+  const length = toNumber(parent.media?.duration) || toNumber(parent.duration);
+  if (length) {
+    if (inPoint >= length) {
+      throw new Error(`The in point is past the end of the recording (${length.toFixed(1)}s)`);
+    }
+    outPoint = Math.min(outPoint, length);
+  }
+  if ((await getLocalSources(parent)).length === 0) {
+    throw new Error('The local copy is gone');
+  }
+  const metadata = {
+    title: parent.title ? `${parent.title} (clip)` : '',
+    tags: parent.tags || [],
+    operator: parent.operator || '',
+    location: parent.location || '',
+    customFields: parent.customFields || {},
+    ...validateRecordingMetadata(input, parent)
+  };
+
+  const recordingId = uuidv4();
+  const filename = `${recordingId}.mp4`;
+  const filepath = path.join(UPLOADS_DIR, filename);
+  const notes = input.notes !== undefined ? String(input.notes) : parent.notes || '';
+  // Offsets are media time, so with pauses before the in point this is approximate
+  const parentStart = new Date(parent.startTime).getTime();
+
+  const clip = {
+    _id: new ObjectId(),
+    recordingId,
+    filename,
+    filepath,
+    captureFilepath: filepath,
+    parts: [filepath],
+    container: 'mp4',
+    remuxStatus: null,
+    status: 'clipping',
+    startTime: new Date(parentStart + inPoint * 1000),
+    endTime: new Date(parentStart + outPoint * 1000),
+    duration: outPoint - inPoint,
+    notes,
+    notesHistory: notes ? [{ notes, savedAt: new Date() }] : [],
+    ...metadata,
+    device: parent.device,
+    profileId: parent.profileId || null,
+    profileName: parent.profileName || null,
+    captureSettings: { ...getDefaultCaptureSettings(), ...parent.captureSettings },
+    audio: parent.audio || null,
+    parentRecordingId: parent.recordingId,
+    clip: { in: inPoint, out: outPoint, method: null },
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    uploadedToRemote: false,
+    destinations: [],
+    segmented: false
+  };
+
+  await videosCollection.insertOne(clip);
+  log(`Clip ${recordingId} of ${parent.recordingId} queued (${inPoint}s - ${outPoint}s)`);
+  io.emit('clipQueued', { recordingId, parentRecordingId: parent.recordingId });
+  queueClip(clip);
+  return clip;
+}
+
+function queueClip(clip) {
+  clipState.queue = clipState.queue
+    .then(() => runClipJob(clip))
+    .catch((err) => logError(`Clip ${clip.recordingId} failed`, err));
+}
+
+async function runClipJob(clip) {
+  const { recordingId, parentRecordingId, filepath } = clip;
+  let result;
+  try {
+    const parent = await getRecording(parentRecordingId);
+    const sources = parent && !parent.localDeleted ? await getLocalSources(parent) : [];
+    if (sources.length === 0) {
+      throw new Error('The local copy of the parent recording is gone');
+    }
+    result = await extractClip(sources, filepath, clip.clip.in, clip.clip.out, clip.captureSettings);
+  } catch (err) {
+    logError(`Cutting clip ${recordingId} failed`, err);
+    await fs.promises.unlink(filepath).catch(() => {});
+    await updateRecordingFields(recordingId, { status: 'error', clipError: err.message });
+    io.emit('clipError', { recordingId, parentRecordingId, error: err.message });
+    return;
+  }
+
+  const update = {
+    status: 'completed',
+    duration: clip.clip.out - result.start,
+    clip: { ...clip.clip, in: result.start, method: result.method }
+  };
+  await updateRecordingFields(recordingId, update);
+  log(`Clip ${recordingId} cut (${result.method === 'copy' ? 'stream copy' : 're-encoded'})`);
+  io.emit('clipCreated', { recordingId, parentRecordingId, method: result.method });
+
+  await copyMarkersToClip(clip, result.start).catch((err) => logError(`Copying markers to clip ${recordingId} failed`, err));
+  await finalizeRecording({ ...clip, ...update });
+}
+
+async function getClips(parentRecordingId) {
+  if (!videosCollection) {
+    return [];
+  }
+  return await videosCollection.find({ parentRecordingId }).sort({ 'clip.in': 1, createdAt: 1 }).toArray();
+}
+
+// Timecoded markers
+// Bookmarks dropped during (or after) a recording, kept in the notes collection.
+// `offset` is seconds since startTime by the wall clock; `mediaOffset` is the
+// position in the file, which leaves out time spent paused. When a recording is
+// finalized the markers become chapters in the file and a WebVTT sidecar.
+const MARKER_CATEGORIES = ['general', 'speaker', 'issue', 'highlight'];
+const MARKER_TEXT_MAX_LENGTH = 500;
+
+async function getMarkers(recordingId) {
+  if (!notesCollection) {
+    return [];
+  }
+  return await notesCollection.find({ recordingId }).sort({ mediaOffset: 1, createdAt: 1 }).toArray();
+}
+
+// Wall-clock offset of a position in the file: add every pause that began before it
+function getWallClockOffset(recording, mediaOffset) {
+  let offset = mediaOffset;
+  for (const pause of recording.pauses || []) {
+    // Pauses are in order, so `offset` already includes the earlier ones
+    const pausedAt = (new Date(pause.pausedAt) - new Date(recording.startTime)) / 1000;
+    if (!pause.resumedAt || pausedAt > offset) {
+      break;
+    }
+    offset += (new Date(pause.resumedAt) - new Date(pause.pausedAt)) / 1000;
+  }
+  return offset;
+}
+
+// Without input.offset the marker is placed at the current position of the running capture
+async function addMarker(recording, input = {}) {
+  if (!notesCollection) {
+    throw new Error('Markers require a database connection');
+  }
+
+  const category = input.category || 'general';
+  if (!MARKER_CATEGORIES.includes(category)) {
+    throw new Error(`Invalid category: ${category}. Use one of: ${MARKER_CATEGORIES.join(', ')}`);
+  }
+  const text = String(input.text ?? '').trim();
+  if (text.length > MARKER_TEXT_MAX_LENGTH) {
+    throw new Error(`Marker text is longer than ${MARKER_TEXT_MAX_LENGTH} characters`);
+  }
+
+  let offset;
+  let mediaOffset;
+  if (input.offset !== undefined && input.offset !== null && input.offset !== '') {
+    mediaOffset = parseTimestamp(input.offset, 'marker');
+    offset = getWallClockOffset(recording, mediaOffset);
+  } else {
+    const current = captureState.currentRecording;
+    if (!captureState.isCapturing || !current || current.recordingId !== recording.recordingId) {
+      throw new Error('The recording is not running; give the marker an offset');
+    }
+    const now = new Date();
+    offset = (now - new Date(current.startTime)) / 1000;
+    mediaOffset = getRecordedDuration(current, now);
+  }
+
+  const marker = {
+    _id: new ObjectId(),
+    markerId: uuidv4(),
+    recordingId: recording.recordingId,
+    offset: Math.round(offset * 1000) / 1000,
+    mediaOffset: Math.round(mediaOffset * 1000) / 1000,
+    category,
+    text,
+    author: String(input.author ?? '').trim() || null,
+    createdAt: new Date()
+  };
+  await notesCollection.insertOne(marker);
+  io.emit('markerAdded', { recordingId: recording.recordingId, marker });
+  return marker;
+}
+
+async function deleteMarker(recordingId, markerId) {
+  if (!notesCollection) {
+    throw new Error('Markers require a database connection');
+  }
+  const result = await notesCollection.deleteOne({ recordingId, markerId });
+  if (result.deletedCount > 0) {
+    io.emit('markerDeleted', { recordingId, markerId });
+  }
+  return result.deletedCount > 0;
+}
+
+// A clip keeps the markers that fall inside it, moved to its own timeline
+async function copyMarkersToClip(clip, start) {
+  const markers = (await getMarkers(clip.parentRecordingId))
+    .filter((marker) => marker.mediaOffset >= start && marker.mediaOffset < clip.clip.out);
+  if (markers.length === 0) {
+    return;
+  }
+
+  await notesCollection.insertMany(markers.map((marker) => ({
+    ...marker,
+    _id: new ObjectId(),
+    markerId: uuidv4(),
+    recordingId: clip.recordingId,
+    offset: Math.round((marker.mediaOffset - start) * 1000) / 1000,
+    mediaOffset: Math.round((marker.mediaOffset - start) * 1000) / 1000,
+    copiedFrom: marker.markerId
+  })));
+}
+
+function getMarkerTitle(marker) {
+  const label = marker.category === 'general' ? '' : `[${marker.category}] `;
+  const title = `${label}${marker.text || marker.category}${marker.author ? ` (${marker.author})` : ''}`;
+  return title.replace(/\s+/g, ' ');
+}
+
+// Each marker starts a chapter that runs to the next one; anything before
+// the first marker is a "Start" chapter
+function getChapters(markers, duration) {
+  const chapters = markers
+    .filter((marker) => !duration || marker.mediaOffset < duration)
+    .map((marker) => ({ start: marker.mediaOffset, title: getMarkerTitle(marker) }));
+  if (chapters.length > 0 && chapters[0].start > 0) {
+    chapters.unshift({ start: 0, title: 'Start' });
+  }
+  return chapters.map((chapter, i) => ({
+    ...chapter,
+    end: i + 1 < chapters.length ? chapters[i + 1].start : Math.max(duration || 0, chapter.start)
+  }));
+}
+
+function formatVttTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+function getChaptersVtt(chapters) {
+  const cues = chapters.map((chapter, i) =>
+    `${i + 1}\n${formatVttTime(chapter.start)} --> ${formatVttTime(chapter.end)}\n${chapter.title.replace(/-->/g, '->')}`);
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+// ffmpeg's metadata format; chapter times in milliseconds
+function getChaptersFfmetadata(chapters) {
+  const escape = (value) => value.replace(/[=;#\\]/g, (char) => `\\${char}`);
+  const blocks = chapters.map((chapter) => [
+    '[CHAPTER]',
+    'TIMEBASE=1/1000',
+    `START=${Math.round(chapter.start * 1000)}`,
+    `END=${Math.round(chapter.end * 1000)}`,
+    `title=${escape(chapter.title)}`
+  ].join('\n'));
+  return [';FFMETADATA1', ...blocks].join('\n') + '\n';
+}
+
+// Rewrite the file with the chapters added, streams copied
+async function embedChapters(filepath, chapters) {
+  const extension = path.extname(filepath);
+  const metadataPath = `${filepath}.chapters.txt`;
+  const outputPath = `${filepath}.chapters${extension}`;
+  await fs.promises.writeFile(metadataPath, getChaptersFfmetadata(chapters));
+
+  try {
+    await new Promise((resolve, reject) => {
+      ffmpeg()
+        .input(filepath)
+        .input(metadataPath)
+        .output(outputPath)
+        .outputOptions([
+          '-map', '0',
+          '-map_metadata', '0',
+          '-map_chapters', '1',
+          '-c', 'copy',
+          ...(extension === '.mp4' ? ['-movflags', '+faststart'] : [])
+        ])
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
+    });
+    await fs.promises.rename(outputPath, filepath);
+  } finally {
+    await fs.promises.unlink(metadataPath).catch(() => {});
+    await fs.promises.unlink(outputPath).catch(() => {});
+  }
+}
+
+// Write the sidecar and, given a file, embed the chapters in it. Runs before
+// the checksum so the uploaded file is the one with chapters. Failures are
+// recorded and never hold up the upload.
+async function exportChapters(recording, filepath) {
+  const { recordingId } = recording;
+  try {
+    const markers = await getMarkers(recordingId);
+    if (markers.length === 0) {
+      return;
+    }
+
+    const stored = videosCollection ? await videosCollection.findOne({ recordingId }) : null;
+    const duration = filepath ? await probeDuration(filepath) : toNumber(stored?.duration);
+    const chapters = getChapters(markers, duration);
+    const sidecarPath = path.join(path.dirname(recording.filepath), `${recordingId}_chapters.vtt`);
+    await fs.promises.writeFile(sidecarPath, getChaptersVtt(chapters));
+    if (filepath) {
+      await embedChapters(filepath, chapters);
+    }
+
+    await updateRecordingFields(recordingId, {
+      chapters: { count: chapters.length, sidecarPath, embedded: Boolean(filepath), exportedAt: new Date() },
+      chaptersError: null
+    });
+    log(`Exported ${chapters.length} chapter(s) for ${recordingId}`);
+  } catch (err) {
+    logError(`Exporting chapters for ${recordingId} failed`, err);
+    await updateRecordingFields(recordingId, { chaptersError: err.message });
+  }
+}
+
+// Checksums
+function hashStream(stream, algorithm = 'sha256') {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    stream
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+function hashFile(filepath, algorithm = 'sha256', range = {}) {
+  return hashStream(fs.createReadStream(filepath, range), algorithm);
+}
+
+// Uploads work on a whole recording, or on one of its segments when
+// segmentIndex is set. Returns where that file's upload state is stored.
+function getUploadDocument(recordingId, segmentIndex = null) {
+  if (segmentIndex === null || segmentIndex === undefined) {
+    return { collection: videosCollection, filter: { recordingId } };
+  }
+  return { collection: segmentsCollection, filter: { recordingId, index: segmentIndex } };
+}
+
+async function storeRecordingChecksum(recordingId, filepath, segmentIndex = null) {
+  const sha256 = await hashFile(filepath);
+  log(`SHA-256 for ${path.basename(filepath)} (${recordingId}): ${sha256}`);
+
+  const { collection, filter } = getUploadDocument(recordingId, segmentIndex);
+  if (collection) {
+    await collection.updateOne(
+      filter,
+      { $set: { sha256, checksumAt: new Date(), updatedAt: new Date() } }
+    );
+  }
+  return sha256;
+}
+
+// Use the stored checksum, computing it for recordings that predate it
+async function ensureRecordingChecksum(recordingId, filepath, segmentIndex = null) {
+  const { collection, filter } = getUploadDocument(recordingId, segmentIndex);
+  const doc = collection ? await collection.findOne(filter, { projection: { sha256: 1 } }) : null;
+  if (doc?.sha256) {
+    return doc.sha256;
+  }
+  return await storeRecordingChecksum(recordingId, filepath, segmentIndex);
+}
+
+// Confirm the remote copy matches the local file. Throws on a mismatch so the
+// queue retries the upload instead of marking the destination uploaded.
+async function verifyUpload(target, filepath, sha256, result) {
+  if (target === 'sftp') {
+    return await verifySFTPUpload(result.remotePath, sha256);
+  } else if (target === 's3') {
+    return await verifyS3Upload(filepath, sha256, result);
+  }
+  // Local destination is the file we hashed
+  return { method: 'local', checksum: sha256 };
+}
+
+async function verifySFTPUpload(remotePath, sha256) {
+  const sftp = new SftpClient();
+  await sftp.connect(getSFTPConnectOptions());
+
+  try {
+    let remoteHash = null;
+    let method = 'command';
+
+    if (SFTP_VERIFY_METHOD !== 'download') {
+      try {
+        remoteHash = await execRemoteSha256(sftp.client, remotePath);
+      } catch (err) {
+        if (SFTP_VERIFY_METHOD === 'command') {
+          throw err;
+        }
+        log(`Remote sha256sum unavailable (${err.message}), re-downloading to verify`, 'WARN');
+      }
+    }
+
+    if (!remoteHash) {
+      method = 'download';
+      remoteHash = await hashStream(sftp.createReadStream(remotePath));
+    }
+
+    if (remoteHash !== sha256) {
+      throw new Error(`Checksum mismatch on SFTP: expected ${sha256}, got ${remoteHash}`);
+    }
+    return { method, checksum: remoteHash };
+  } finally {
+    await sftp.end().catch(() => {});
+  }
+}
+
+function execRemoteSha256(client, remotePath) {
+  const quotedPath = `'${remotePath.replace(/'/g, `'\\''`)}'`;
+
+  return new Promise((resolve, reject) => {
+    client.exec(`sha256sum ${quotedPath}`, (err, stream) => {
+      if (err) {
+        return reject(err);
+      }
+
+      let stdout = '';
+      let stderr = '';
+      stream.on('data', (data) => {
+        stdout += data;
+      });
+      stream.stderr.on('data', (data) => {
+        stderr += data;
+      });
+      stream.on('close', (code) => {
+        const match = stdout.match(/^([a-f0-9]{64})\b/i);
+        if (code === 0 && match) {
+          resolve(match[1].toLowerCase());
+        } else {
+          reject(new Error(`sha256sum exited with code ${code}: ${stderr.trim()}`));
+        }
+      });
+    });
+  });
+}
+
+// S3 has no SHA-256 of the whole object, so compare the ETag instead.
+// With SSE-KMS the ETag is not a hash of the content, so those objects are
+// downloaded again and hashed, like SFTP without sha256sum. (Uploads never
+// use SSE-C, which would need the customer key for every request.)
+async function verifyS3Upload(filepath, sha256, result) {
+  const head = await s3.headObject({ Bucket: result.Bucket, Key: result.Key }).promise();
+  if (head.ServerSideEncryption && head.ServerSideEncryption.startsWith('aws:kms')) {
+    const remoteHash = await hashStream(s3.getObject({ Bucket: result.Bucket, Key: result.Key }).createReadStream());
+    if (remoteHash !== sha256) {
+      throw new Error(`Checksum mismatch on S3: expected ${sha256}, got ${remoteHash}`);
+    }
+    return { method: 'download', checksum: remoteHash };
+  }
+
+  const remoteETag = head.ETag.replace(/"/g, '');
+  // Some S3-compatible stores report the whole-object MD5 even for multipart uploads
+  const expectedETag = remoteETag.includes('-') ?
+    await computeS3ETag(filepath, result.partSize) :
+    await hashFile(filepath, 'md5');
+
+  if (remoteETag !== expectedETag) {
+    throw new Error(`ETag mismatch on S3: expected ${expectedETag}, got ${remoteETag}`);
+  }
+  return { method: 'etag', checksum: remoteETag };
+}
+
+// Multipart ETag: MD5 of the concatenated part MD5s, suffixed with the part count
+async function computeS3ETag(filepath, partSize) {
+  const fileSize = fs.statSync(filepath).size;
+  if (!partSize || fileSize === 0) {
+    return await hashFile(filepath, 'md5');
+  }
+
+  const partCount = Math.ceil(fileSize / partSize);
+  const digests = [];
+  for (let i = 0; i < partCount; i++) {
+    const start = i * partSize;
+    const end = Math.min(start + partSize, fileSize) - 1;
+    digests.push(Buffer.from(await hashFile(filepath, 'md5', { start, end }), 'hex'));
+  }
+  return crypto.createHash('md5').update(Buffer.concat(digests)).digest('hex') + `-${partCount}`;
+}
+
+// Upload to remote storage (S3 or SFTP)
+// `control` lets the caller abort an in-flight transfer: the uploader stores
+// an abort function on it once the transfer has started, and reports bytes
+// sent through control.onProgress(bytesTransferred, totalBytes).
+// Segments upload next to the recording's own file under the same folder.
+async function uploadFile(filepath, recordingId, target = UPLOAD_METHOD, control = {}, segmentIndex = null) {
+  if (target === 'sftp') {
+    return await uploadToSFTP(filepath, recordingId, control);
+  } else if (target === 's3') {
+    return await uploadToS3(filepath, recordingId, control, segmentIndex);
+  } else {
+    // Local only - no upload
+    console.log('Local storage only - no upload configured');
+    return { Location: filepath };
+  }
+}
+
+function getSFTPConnectOptions() {
+  return {
+    host: SFTP_CONFIG.host,
+    port: SFTP_CONFIG.port,
+    username: SFTP_CONFIG.username,
+    password: SFTP_CONFIG.password || undefined,
+    privateKey: SFTP_CONFIG.privateKey || undefined
+  };
+}
+
+// Upload to SFTP
+async function uploadToSFTP(filepath, recordingId, control = {}) {
+  const sftp = new SftpClient();
+  const filename = path.basename(filepath);
+  const remotePath = `${SFTP_CONFIG.uploadDir}/${recordingId}/${filename}`;
+  
+  try {
+    await sftp.connect(getSFTPConnectOptions());
+    
+    console.log(`Connected to SFTP: ${SFTP_CONFIG.host} as ${SFTP_CONFIG.username}`);
+
+    // Closing the connection makes the pending fastPut() reject
+    control.abort = () => sftp.end();
+    if (control.cancelled) {
+      throw new Error('Upload cancelled');
+    }
+    
+    // Create remote directory if it doesn't exist
+    const remoteDir = `${SFTP_CONFIG.uploadDir}/${recordingId}`;
+    try {
+      await sftp.mkdir(remoteDir, true);
+    } catch (err) {
+      // Directory may already exist, ignore error
+      console.log('Remote directory check:', err.message);
+    }
+    
+    // Upload file
+    await sftp.fastPut(filepath, remotePath, {
+      step: (transferred, chunk, total) => {
+        if (control.onProgress) {
+          control.onProgress(transferred, total);
+        }
+      }
+    });
+    console.log('Uploaded to SFTP:', remotePath);
+    
+    await sftp.end();
+    
+    const sftpLocation = `sftp://${SFTP_CONFIG.username}@${SFTP_CONFIG.host}${remotePath}`;
+    
+    return { Location: sftpLocation, remotePath };
+  } catch (error) {
+    console.error('SFTP upload error:', error.message);
+    // Release the connection so retries don't leak sessions
+    await sftp.end().catch(() => {});
+    throw error;
+  }
+}
+
+// Upload to S3
+// Streams the file in parts with a multipart upload so large recordings never
+// sit in memory. The UploadId is stored on the video document, so a restarted
+// or retried upload skips the parts S3 already has.
+async function uploadToS3(filepath, recordingId, control = {}, segmentIndex = null) {
+  const uploadDoc = getUploadDocument(recordingId, segmentIndex);
+  const s3Folder = process.env.AWS_S3_FOLDER || 'videos';
+  const filename = path.basename(filepath);
+  const bucket = process.env.AWS_S3_BUCKET;
+  const key = `${s3Folder}/${recordingId}/${filename}`;
+  const fileSize = fs.statSync(filepath).size;
+
+  // Multipart uploads need at least one non-empty part
+  if (fileSize === 0) {
+    await s3.putObject({ Bucket: bucket, Key: key, Body: '', ContentType: getContentType(filepath) }).promise();
+    // No partSize: the ETag of a single-part object is the plain MD5
+    return await finishS3Upload(uploadDoc, { Location: s3ObjectUrl(bucket, key), Bucket: bucket, Key: key });
+  }
+
+  const partSize = getS3PartSize(fileSize);
+  const partCount = Math.ceil(fileSize / partSize);
+  const activeRequests = new Set();
+  const partProgress = new Map();
+  let uploadId = null;
+
+  // Bytes from finished parts plus whatever the in-flight parts have sent
+  const reportProgress = () => {
+    if (!control.onProgress) {
+      return;
+    }
+    let transferred = 0;
+    completedParts.forEach((etag, partNumber) => {
+      transferred += Math.min(partSize, fileSize - (partNumber - 1) * partSize);
+    });
+    partProgress.forEach((loaded) => {
+      transferred += loaded;
+    });
+    control.onProgress(transferred, fileSize);
+  };
+
+  control.abort = async () => {
+    activeRequests.forEach((request) => request.abort());
+    if (uploadId) {
+      await s3.abortMultipartUpload({ Bucket: bucket, Key: key, UploadId: uploadId }).promise().catch(() => {});
+      await saveS3UploadState(uploadDoc, null);
+    }
+  };
+
+  const state = await resumeOrCreateS3Upload(uploadDoc, { bucket, key, fileSize, partSize, contentType: getContentType(filepath) });
+  uploadId = state.uploadId;
+  const completedParts = state.completedParts;
+
+  if (control.cancelled) {
+    await control.abort();
+    throw new Error('Upload cancelled');
+  }
+
+  const remaining = [];
+  for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+    if (!completedParts.has(partNumber)) {
+      remaining.push(partNumber);
+    }
+  }
+  log(`S3 multipart upload ${uploadId}: ${partCount - remaining.length}/${partCount} parts already uploaded`);
+  reportProgress();
+
+  const uploadPart = async (partNumber) => {
+    const start = (partNumber - 1) * partSize;
+    const end = Math.min(start + partSize, fileSize);
+    const request = s3.uploadPart({
+      Bucket: bucket,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      ContentLength: end - start,
+      Body: fs.createReadStream(filepath, { start, end: end - 1 })
+    });
+    request.on('httpUploadProgress', (progress) => {
+      partProgress.set(partNumber, progress.loaded);
+      reportProgress();
+    });
+
+    activeRequests.add(request);
+    try {
+      const result = await request.promise();
+      partProgress.delete(partNumber);
+      completedParts.set(partNumber, result.ETag);
+      reportProgress();
+      if (uploadDoc.collection) {
+        await uploadDoc.collection.updateOne(
+          uploadDoc.filter,
+          { $set: { 's3Upload.completedParts': completedParts.size, updatedAt: new Date() } }
+        );
+      }
+    } finally {
+      activeRequests.delete(request);
+      partProgress.delete(partNumber);
+    }
+  };
+
+  // Upload remaining parts with a fixed number of workers
+  const workers = [];
+  for (let i = 0; i < Math.min(S3_UPLOAD_CONCURRENCY, remaining.length); i++) {
+    workers.push((async () => {
+      while (remaining.length > 0 && !control.cancelled) {
+        try {
+          await uploadPart(remaining.shift());
+        } catch (err) {
+          // Stop the other workers; completed parts are kept for the retry
+          remaining.length = 0;
+          throw err;
+        }
+      }
+    })());
+  }
+  await Promise.all(workers);
+
+  if (control.cancelled) {
+    throw new Error('Upload cancelled');
+  }
+
+  const parts = Array.from(completedParts.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([PartNumber, ETag]) => ({ PartNumber, ETag }));
+
+  const result = await s3.completeMultipartUpload({
+    Bucket: bucket,
+    Key: key,
+    UploadId: uploadId,
+    MultipartUpload: { Parts: parts }
+  }).promise();
+  console.log('Uploaded to S3:', result.Location);
+
+  return await finishS3Upload(uploadDoc, { ...result, Bucket: bucket, Key: key, partSize });
+}
+
+// Drop the multipart state once the object is complete
+async function finishS3Upload(uploadDoc, result) {
+  await saveS3UploadState(uploadDoc, null);
+  return result;
+}
+
+// Grow the part size when the file would exceed S3's part limit
+function getS3PartSize(fileSize) {
+  const minPartSize = Math.ceil(fileSize / S3_MAX_PARTS);
+  return Math.max(S3_PART_SIZE, minPartSize);
+}
+
+function s3ObjectUrl(bucket, key) {
+  const endpoint = s3.endpoint.href.replace(/\/$/, '');
+  return s3Config.s3ForcePathStyle ? `${endpoint}/${bucket}/${key}` : `https://${bucket}.${s3.endpoint.host}/${key}`;
+}
+
+// uploadDoc is the { collection, filter } from getUploadDocument()
+async function saveS3UploadState(uploadDoc, s3Upload) {
+  if (!uploadDoc.collection) {
+    return;
+  }
+  const update = s3Upload ?
+    { $set: { s3Upload, updatedAt: new Date() } } :
+    { $unset: { s3Upload: '' }, $set: { updatedAt: new Date() } };
+  await uploadDoc.collection.updateOne(uploadDoc.filter, update);
+}
+
+// Continue a stored multipart upload, or start a new one
+async function resumeOrCreateS3Upload(uploadDoc, { bucket, key, fileSize, partSize, contentType }) {
+  const doc = uploadDoc.collection ? await uploadDoc.collection.findOne(uploadDoc.filter) : null;
+  const stored = doc?.s3Upload;
+
+  if (stored && stored.bucket === bucket && stored.key === key &&
+      stored.fileSize === fileSize && stored.partSize === partSize) {
+    try {
+      const completedParts = await listS3UploadedParts(bucket, key, stored.uploadId);
+      log(`Resuming S3 multipart upload ${stored.uploadId} for ${key}`);
+      return { uploadId: stored.uploadId, completedParts };
+    } catch (err) {
+      // Upload expired or was aborted on the server - start over
+      logError(`Cannot resume S3 upload ${stored.uploadId}`, err);
+    }
+  } else if (stored) {
+    // File or settings changed since the upload began; the old parts are useless
+    await s3.abortMultipartUpload({ Bucket: stored.bucket, Key: stored.key, UploadId: stored.uploadId })
+      .promise().catch(() => {});
+  }
+
+  const created = await s3.createMultipartUpload({
+    Bucket: bucket,
+    Key: key,
+    ContentType: contentType
+  }).promise();
+
+  await saveS3UploadState(uploadDoc, {
+    uploadId: created.UploadId,
+    bucket,
+    key,
+    fileSize,
+    partSize,
+    completedParts: 0,
+    startedAt: new Date()
+  });
+
+  return { uploadId: created.UploadId, completedParts: new Map() };
+}
+
+// Ask S3 which parts it already holds for an upload
+async function listS3UploadedParts(bucket, key, uploadId) {
+  const completedParts = new Map();
+  let partNumberMarker;
+
+  do {
+    const page = await s3.listParts({
+      Bucket: bucket,
+      Key: key,
+      UploadId: uploadId,
+      PartNumberMarker: partNumberMarker
+    }).promise();
+
+    (page.Parts || []).forEach((part) => completedParts.set(part.PartNumber, part.ETag));
+    partNumberMarker = page.IsTruncated ? page.NextPartNumberMarker : undefined;
+  } while (partNumberMarker);
+
+  return completedParts;
+}
+
+// Upload queue
+// Jobs live in the uploadJobs collection so that recordings made while the
+// network is down survive a restart and are retried with exponential backoff.
+// Job status: pending -> active -> completed, or dead once attempts run out.
+const uploadQueueState = {
+  processing: false,
+  timer: null,
+  activeJob: null
+};
+
+// Build a throttled control.onProgress handler that emits uploadProgress.
+// Rate is averaged over this session only, so resumed uploads don't count
+// bytes that were sent before the restart.
+function createUploadProgressReporter(recordingId, target, onUpdate) {
+  let sessionStart = null;
+  let lastEmit = 0;
+  let finished = false;
+
+  return (bytesTransferred, totalBytes) => {
+    const now = Date.now();
+    if (!sessionStart) {
+      sessionStart = { time: now, bytes: bytesTransferred };
+    }
+
+    const done = bytesTransferred >= totalBytes;
+    if (done ? finished : now - lastEmit < UPLOAD_PROGRESS_INTERVAL_MS) {
+      return;
+    }
+    lastEmit = now;
+    finished = done;
+
+    const elapsed = (now - sessionStart.time) / 1000;
+    const rate = elapsed > 0 ? (bytesTransferred - sessionStart.bytes) / elapsed : 0;
+    const progress = {
+      recordingId,
+      target,
+      bytesTransferred,
+      totalBytes,
+      percent: totalBytes > 0 ? Math.round((bytesTransferred / totalBytes) * 1000) / 10 : 100,
+      rate: Math.round(rate),
+      eta: rate > 0 ? Math.round((totalBytes - bytesTransferred) / rate) : null
+    };
+
+    if (onUpdate) {
+      onUpdate(progress);
+    }
+    io.emit('uploadProgress', progress);
+  };
+}
+
+// Most urgent first: the recording shows the first of these any destination is in
+const UPLOAD_STATUS_PRECEDENCE = ['uploading', 'verifying', 'retrying', 'queued', 'failed', 'cancelled', 'uploaded'];
+
+function getUploadRetryDelay(attempts) {
+  const delay = UPLOAD_RETRY_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0));
+  return Math.min(delay, UPLOAD_RETRY_MAX_MS);
+}
+
+// Update one entry of the recording's (or segment's) destinations array,
+// creating it if needed
+async function setDestinationState(recordingId, target, fields, segmentIndex = null) {
+  const { collection, filter } = getUploadDocument(recordingId, segmentIndex);
+  if (!collection) {
+    return;
+  }
+
+  await collection.updateOne(
+    { ...filter, 'destinations.target': { $ne: target } },
+    { $push: { destinations: { target, status: 'queued', location: null, error: null } } }
+  );
+
+  const update = { updatedAt: new Date() };
+  Object.entries(fields).forEach(([field, value]) => {
+    update[`destinations.$[dest].${field}`] = value;
+  });
+  await collection.updateOne(
+    filter,
+    { $set: update },
+    { arrayFilters: [{ 'dest.target': target }] }
+  );
+
+  if (collection === segmentsCollection) {
+    await refreshSegmentDestinations(recordingId);
+  } else {
+    await refreshUploadSummary(recordingId);
+  }
+}
+
+// Roll the per-destination states up into uploadStatus and uploadedToRemote
+// so the recordings list can show one badge per recording
+async function refreshUploadSummary(recordingId) {
+  const recording = await videosCollection.findOne({ recordingId }, { projection: { destinations: 1 } });
+  const statuses = (recording?.destinations || []).map((dest) => dest.status);
+  if (statuses.length === 0) {
+    return;
+  }
+
+  await videosCollection.updateOne(
+    { recordingId },
+    {
+      $set: {
+        uploadStatus: UPLOAD_STATUS_PRECEDENCE.find((status) => statuses.includes(status)),
+        uploadedToRemote: statuses.every((status) => status === 'uploaded')
+      }
+    }
+  );
+}
+
+// Add a recording to the upload queue and kick the worker
+// options.targets overrides UPLOAD_DESTINATIONS for this request only;
+// options.segmentIndex queues one segment of a segmented recording
+async function enqueueUpload(recordingId, filepath, options = {}) {
+  const targets = options.targets || UPLOAD_DESTINATIONS;
+  const segmentIndex = options.segmentIndex ?? null;
+
+  if (!uploadJobsCollection) {
+    // No database - fall back to a single inline attempt per destination
+    for (const target of targets) {
+      const control = { onProgress: createUploadProgressReporter(recordingId, target) };
+      try {
+        const sha256 = await hashFile(filepath);
+        const result = await uploadFile(filepath, recordingId, target, control, segmentIndex);
+        await verifyUpload(target, filepath, sha256, result);
+        io.emit('uploadComplete', { recordingId, segmentIndex, target, location: result.Location });
+      } catch (uploadError) {
+        logError(`Upload error (${target})`, uploadError);
+        io.emit('uploadError', { recordingId, segmentIndex, target, error: uploadError.message });
+      }
+    }
+    return [];
+  }
+
+  const jobs = [];
+  for (const target of targets) {
+    const now = new Date();
+    const job = {
+      _id: new ObjectId(),
+      recordingId,
+      segmentIndex,
+      filepath,
+      target,
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: UPLOAD_MAX_ATTEMPTS,
+      nextAttemptAt: now,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await uploadJobsCollection.insertOne(job);
+    await setDestinationState(recordingId, target, { status: 'queued', error: null }, segmentIndex);
+
+    log(`Upload queued for ${describeUploadJob(job)} (${target})`);
+    io.emit('uploadQueued', { recordingId, segmentIndex, jobId: job._id, target });
+    jobs.push(job);
+  }
+
+  processUploadQueue().catch((err) => logError('Upload queue error', err));
+  return jobs;
+}
+
+function describeUploadJob(job) {
+  if (job.companion) {
+    return `${job.recordingId} ${job.companion}`;
+  }
+  const segmentIndex = job.segmentIndex ?? null;
+  return segmentIndex === null ? job.recordingId : `${job.recordingId} segment ${segmentIndex}`;
+}
+
+// Claim the next due job, if any
+async function claimNextUploadJob() {
+  const now = new Date();
+  return await uploadJobsCollection.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { status: 'active', startedAt: now, updatedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+  );
+}
+
+// Run a single claimed job and record the outcome
+async function runUploadJob(job) {
+  if (job.companion) {
+    await runCompanionUploadJob(job);
+    return;
+  }
+
+  const { recordingId, filepath } = job;
+  const segmentIndex = job.segmentIndex ?? null;
+  const label = describeUploadJob(job);
+  const target = job.target || UPLOAD_METHOD;
+  const activeJob = { job, control: null, progress: null };
+  const control = {
+    cancelled: false,
+    abort: null,
+    onProgress: createUploadProgressReporter(recordingId, target, (progress) => {
+      activeJob.progress = progress;
+    })
+  };
+  activeJob.control = control;
+  log(`Uploading ${label} to ${target} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+  uploadQueueState.activeJob = activeJob;
+
+  try {
+    await setDestinationState(recordingId, target, { status: 'uploading' }, segmentIndex);
+
+    if (!fs.existsSync(filepath)) {
+      throw new Error('Local file not found: ' + filepath);
+    }
+    const sha256 = await ensureRecordingChecksum(recordingId, filepath, segmentIndex);
+
+    const result = await uploadFile(filepath, recordingId, target, control, segmentIndex);
+    if (control.cancelled) {
+      throw new Error('Upload cancelled');
+    }
+
+    await setDestinationState(recordingId, target, { status: 'verifying' }, segmentIndex);
+    const verification = await verifyUpload(target, filepath, sha256, result);
+    if (control.cancelled) {
+      throw new Error('Upload cancelled');
+    }
+    log(`Verified ${label} on ${target} (${verification.method})`);
+
+    // The images and chapters are a nice-to-have; a failure here is not worth re-sending the video
+    let artwork = null;
+    let chapters = null;
+    if (segmentIndex === null) {
+      artwork = await uploadCompanionFiles(recordingId, target, getArtworkFiles).catch((err) => {
+        logError(`Artwork upload error (${label}, ${target})`, err);
+        return null;
+      });
+      chapters = await uploadCompanionFiles(recordingId, target, getChaptersFiles).catch((err) => {
+        logError(`Chapters upload error (${label}, ${target})`, err);
+        return null;
+      });
+    }
+
+    await uploadJobsCollection.updateOne(
+      { _id: job._id },
+      { $set: { status: 'completed', completedAt: new Date(), lastError: null, updatedAt: new Date() } }
+    );
+    await setDestinationState(recordingId, target, {
+      status: 'uploaded',
+      location: result.Location,
+      error: null,
+      uploadedAt: new Date(),
+      verified: true,
+      verification,
+      ...(artwork ? { artwork } : {}),
+      ...(chapters ? { chapters } : {})
+    }, segmentIndex);
+    io.emit('uploadComplete', { recordingId, segmentIndex, target, location: result.Location });
+  } catch (uploadError) {
+    if (control.cancelled) {
+      await markUploadJobCancelled(job);
+      return;
+    }
+
+    logError(`Upload error (${label}, ${target})`, uploadError);
+
+    const dead = job.attempts >= job.maxAttempts;
+    const nextAttemptAt = dead ? null : new Date(Date.now() + getUploadRetryDelay(job.attempts));
+
+    await uploadJobsCollection.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: dead ? 'dead' : 'pending',
+          nextAttemptAt,
+          lastError: uploadError.message,
+          updatedAt: new Date()
+        }
+      }
+    );
+    await setDestinationState(recordingId, target, {
+      status: dead ? 'failed' : 'retrying',
+      error: uploadError.message
+    }, segmentIndex);
+
+    if (dead) {
+      log(`Upload of ${label} to ${target} moved to dead-letter after ${job.attempts} attempts`, 'ERROR');
+    } else {
+      log(`Upload of ${label} to ${target} will retry at ${nextAttemptAt.toISOString()}`);
+    }
+
+    io.emit('uploadError', {
+      recordingId,
+      segmentIndex,
+      target,
+      error: uploadError.message,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      nextAttemptAt,
+      dead
+    });
+  } finally {
+    uploadQueueState.activeJob = null;
+  }
+}
+
+async function markUploadJobCancelled(job) {
+  const target = job.target || UPLOAD_METHOD;
+  log(`Upload of ${describeUploadJob(job)} to ${target} cancelled`);
+  await uploadJobsCollection.updateOne(
+    { _id: job._id },
+    { $set: { status: 'cancelled', nextAttemptAt: null, updatedAt: new Date() } }
+  );
+  await setDestinationState(job.recordingId, target, { status: 'cancelled' }, job.segmentIndex ?? null);
+  io.emit('uploadCancelled', { recordingId: job.recordingId, segmentIndex: job.segmentIndex ?? null, target });
+}
+
+// Manually (re)queue an upload for an existing recording.
+// Without a target, every configured destination not yet uploaded is retried
+// (or all of them again if the recording is already everywhere).
+async function requestUpload(recording, target) {
+  if (target && !UPLOAD_TARGETS.includes(target)) {
+    throw new Error(`Invalid upload target: ${target}. Use one of: ${UPLOAD_TARGETS.join(', ')}`);
+  }
+  if (recording.status === 'recording') {
+    throw new Error('Recording is still in progress');
+  }
+  if (recording.localDeleted) {
+    throw new Error('Local copy was deleted by the retention policy');
+  }
+  const segmentsOnly = recording.segmented && !recording.joinSegments;
+  if (!segmentsOnly && !fs.existsSync(recording.filepath)) {
+    throw new Error('Local file not found: ' + recording.filepath);
+  }
+
+  let targets = [target];
+  if (!target) {
+    const uploaded = (recording.destinations || [])
+      .filter((dest) => dest.status === 'uploaded')
+      .map((dest) => dest.target);
+    const missing = UPLOAD_DESTINATIONS.filter((dest) => !uploaded.includes(dest));
+    targets = missing.length > 0 ? missing : UPLOAD_DESTINATIONS;
+  }
+
+  if (uploadJobsCollection) {
+    const activeJob = uploadQueueState.activeJob;
+    if (activeJob && activeJob.job.recordingId === recording.recordingId && targets.includes(activeJob.job.target)) {
+      throw new Error(`Upload to ${activeJob.job.target} already in progress`);
+    }
+
+    // A manual request supersedes anything still waiting in the queue
+    const scope = segmentsOnly ?
+      { $or: [{ segmentIndex: { $ne: null } }, { companion: { $ne: null } }] } :
+      { segmentIndex: null, companion: null };
+    await uploadJobsCollection.updateMany(
+      {
+        recordingId: recording.recordingId,
+        ...scope,
+        target: { $in: targets },
+        status: 'pending'
+      },
+      { $set: { status: 'cancelled', nextAttemptAt: null, updatedAt: new Date() } }
+    );
+  }
+
+  const jobs = segmentsOnly ?
+    [...await requestSegmentUploads(recording, targets), ...await enqueueCompanionUploads(recording.recordingId, targets)] :
+    await enqueueUpload(recording.recordingId, recording.filepath, { targets });
+  return { success: true, recordingId: recording.recordingId, targets, jobIds: jobs.map((job) => job._id) };
+}
+
+// Queue the segments that have not reached each target yet, or all of them
+// again if they all have
+async function requestSegmentUploads(recording, targets) {
+  const segments = await getSegments(recording.recordingId);
+  if (segments.length === 0) {
+    throw new Error('Recording has no completed segments');
+  }
+  const missingFile = segments.find((segment) => !fs.existsSync(segment.filepath));
+  if (missingFile) {
+    throw new Error('Local file not found: ' + missingFile.filepath);
+  }
+
+  const jobs = [];
+  for (const target of targets) {
+    const pending = segments.filter((segment) =>
+      !segment.destinations.some((dest) => dest.target === target && dest.status === 'uploaded'));
+    for (const segment of pending.length > 0 ? pending : segments) {
+      jobs.push(...await enqueueUpload(recording.recordingId, segment.filepath, { targets: [target], segmentIndex: segment.index }));
+    }
+  }
+  return jobs;
+}
+
+// Cancel queued and in-flight uploads for a recording, optionally for one destination
+async function cancelUpload(recordingId, target) {
+  if (!uploadJobsCollection) {
+    throw new Error('Upload queue is not available');
+  }
+
+  const query = { recordingId, status: 'pending' };
+  if (target) {
+    query.target = target;
+  }
+  const pendingJobs = await uploadJobsCollection.find(query).toArray();
+  await uploadJobsCollection.updateMany(
+    { _id: { $in: pendingJobs.map((job) => job._id) } },
+    { $set: { status: 'cancelled', nextAttemptAt: null, updatedAt: new Date() } }
+  );
+  for (const job of pendingJobs.filter((pendingJob) => !pendingJob.companion)) {
+    await setDestinationState(recordingId, job.target, { status: 'cancelled' }, job.segmentIndex ?? null);
+    io.emit('uploadCancelled', { recordingId, segmentIndex: job.segmentIndex ?? null, target: job.target });
+  }
+  let cancelled = pendingJobs.length;
+
+  // The active job reports its own cancellation once the transfer stops
+  const activeJob = uploadQueueState.activeJob;
+  if (activeJob && activeJob.job.recordingId === recordingId && (!target || activeJob.job.target === target)) {
+    activeJob.control.cancelled = true;
+    if (activeJob.control.abort) {
+      try {
+        await activeJob.control.abort();
+      } catch (err) {
+        logError('Error aborting upload', err);
+      }
+    }
+    cancelled++;
+  }
+
+  if (cancelled === 0) {
+    throw new Error('No upload in progress for this recording');
+  }
+
+  log(`Cancelled ${cancelled} upload job(s) for ${recordingId}`);
+  return { success: true, recordingId, cancelled };
+}
+
+// Convert recordings from before multi-destination uploads, which stored
+// sftpLocation / s3Location directly on the document
+async function migrateLegacyUploadFields() {
+  if (!videosCollection) {
+    return;
+  }
+
+  const cursor = videosCollection.find({
+    destinations: { $exists: false },
+    $or: [{ sftpLocation: { $exists: true } }, { s3Location: { $exists: true } }]
+  });
+
+  let migrated = 0;
+  for await (const recording of cursor) {
+    const destinations = [];
+    if (recording.sftpLocation) {
+      destinations.push({ target: 'sftp', status: 'uploaded', location: recording.sftpLocation, error: null });
+    }
+    if (recording.s3Location) {
+      destinations.push({ target: 's3', status: 'uploaded', location: recording.s3Location, error: null });
+    }
+    await videosCollection.updateOne(
+      { _id: recording._id },
+      { $set: { destinations }, $unset: { sftpLocation: '', s3Location: '' } }
+    );
+    migrated++;
+  }
+
+  if (migrated > 0) {
+    log(`Migrated ${migrated} recording(s) to per-destination upload status`);
+  }
+}
+
+// Recordings from older versions were never checked for a duplicate
+// recordingId, so a failed unique index must not stop the server from starting.
+// Without it, lookups still get a plain index.
+async function ensureRecordingIdIndex() {
+  if (!videosCollection) {
+    return;
+  }
+
+  try {
+    await videosCollection.createIndex({ recordingId: 1 }, { unique: true });
+  } catch (err) {
+    // Only for the log message; startup goes on whether or not this works
+    const duplicates = await videosCollection.aggregate([
+      { $group: { _id: '$recordingId', count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]).toArray().catch((aggregateErr) => {
+      logError('Looking for duplicate recordingIds failed', aggregateErr);
+      return [];
+    });
+    const detail = duplicates.length > 0 ?
+      ` (${duplicates.length} duplicated recordingId(s), e.g. ${duplicates.slice(0, 5).map((d) => d._id).join(', ')})` :
+      '';
+    logError(`Unique recordingId index not created${detail}`, err);
+    await videosCollection.createIndex({ recordingId: 1 }).catch((indexErr) => logError('recordingId index error', indexErr));
+  }
+}
+
+// Work through every due job, one at a time
+async function processUploadQueue() {
+  if (!uploadJobsCollection || uploadQueueState.processing) {
+    return;
+  }
+
+  uploadQueueState.processing = true;
+  try {
+    let job;
+    while ((job = await claimNextUploadJob())) {
+      await runUploadJob(job);
+    }
+  } finally {
+    uploadQueueState.processing = false;
+  }
+}
+
+// Resume the queue after a restart and poll for due retries
+async function startUploadQueue() {
+  if (!uploadJobsCollection) {
+    log('Upload queue disabled (no database connection)', 'WARN');
+    return;
+  }
+
+  // Jobs left active by a crash or restart never finished - run them again
+  const result = await uploadJobsCollection.updateMany(
+    { status: 'active' },
+    { $set: { status: 'pending', nextAttemptAt: new Date(), updatedAt: new Date() } }
+  );
+  if (result.modifiedCount > 0) {
+    log(`Re-queued ${result.modifiedCount} interrupted upload job(s)`);
+  }
+
+  const pending = await uploadJobsCollection.countDocuments({ status: 'pending' });
+  log(`Upload queue started (${pending} pending job(s), destinations: ${UPLOAD_DESTINATIONS.join(', ') || 'none'})`);
+
+  uploadQueueState.timer = setInterval(() => {
+    processUploadQueue().catch((err) => logError('Upload queue error', err));
+  }, UPLOAD_QUEUE_POLL_MS);
+
+  processUploadQueue().catch((err) => logError('Upload queue error', err));
+}
+
+// Storage management
+const storageState = {
+  sweeping: false,
+  sweepTimer: null,
+  statusTimer: null,
+  lastStatus: null
+};
+
+// Convert an ffmpeg bitrate such as '5000k' or '8M' to bits per second
+function parseBitrate(bitrate) {
+  const match = /^(\d+(?:\.\d+)?)\s*([kKmM]?)$/.exec(String(bitrate).trim());
+  if (!match) {
+    return 0;
+  }
+  const multiplier = { k: 1e3, m: 1e6 }[match[2].toLowerCase()] || 1;
+  return parseFloat(match[1]) * multiplier;
+}
+
+// Rough size of one minute of recording, used to turn free space into minutes
+function getRecordingBytesPerMinute(settings = getDefaultCaptureSettings()) {
+  const audioBits = settings.audio.enabled ? parseBitrate(settings.audio.bitrate) : 0;
+  const bitsPerSecond = parseBitrate(settings.videoBitrate) + audioBits;
+  return (bitsPerSecond / 8) * 60;
+}
+
+async function getDiskStatus(settings) {
+  const stats = await fs.promises.statfs(UPLOADS_DIR);
+  const freeBytes = stats.bavail * stats.bsize;
+  const totalBytes = stats.blocks * stats.bsize;
+  const freeMinutes = Math.floor(freeBytes / getRecordingBytesPerMinute(settings));
+
+  return {
+    freeBytes,
+    totalBytes,
+    freeMinutes,
+    lowSpace: freeMinutes < MIN_FREE_RECORDING_MINUTES,
+    minFreeMinutes: MIN_FREE_RECORDING_MINUTES
+  };
+}
+
+async function emitDiskStatus() {
+  storageState.lastStatus = await getDiskStatus();
+  io.emit('diskStatus', storageState.lastStatus);
+  return storageState.lastStatus;
+}
+
+// Called before a capture starts. Tries a retention sweep first when space is
+// low, then refuses or returns a warning depending on DISK_GUARD_MODE.
+async function checkDiskSpaceForCapture(settings) {
+  await emitDiskStatus();
+  let status = await getDiskStatus(settings);
+  if (!status.lowSpace) {
+    return null;
+  }
+
+  if (RETENTION_DAYS || RETENTION_MAX_BYTES) {
+    await runRetentionSweep();
+    await emitDiskStatus();
+    status = await getDiskStatus(settings);
+    if (!status.lowSpace) {
+      return null;
+    }
+  }
+
+  const message = `Low disk space: about ${status.freeMinutes} minute(s) of recording left ` +
+    `(minimum ${MIN_FREE_RECORDING_MINUTES})`;
+  if (DISK_GUARD_MODE === 'refuse') {
+    throw new Error(message);
+  }
+  log(message, 'WARN');
+  return message;
+}
+
+// A local copy can go once every destination holds a verified copy and at
+// least one of them is off the tablet
+function isLocalCopyDeletable(recording) {
+  const destinations = recording.destinations || [];
+  return destinations.some((dest) => dest.target !== 'local') &&
+    destinations.every((dest) => dest.status === 'uploaded' && dest.verified);
+}
+
+function getLastUploadTime(recording) {
+  return Math.max(...recording.destinations.map((dest) => new Date(dest.uploadedAt || 0).getTime()));
+}
+
+function getLocalFileSize(filepath) {
+  try {
+    return fs.statSync(filepath).size;
+  } catch (err) {
+    return 0;
+  }
+}
+
+// The recording's file plus any segments still on disk
+function getRecordingLocalSize(recording) {
+  let size = getLocalFileSize(recording.filepath);
+  if (recording.segmentDir && fs.existsSync(recording.segmentDir)) {
+    fs.readdirSync(recording.segmentDir).forEach((file) => {
+      size += getLocalFileSize(path.join(recording.segmentDir, file));
+    });
+  }
+  return size;
+}
+
+async function deleteLocalRecording(recording, reason) {
+  await fs.promises.unlink(recording.filepath).catch((err) => {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  });
+  await fs.promises.rm(path.join(UPLOADS_DIR, `${recording.recordingId}_preview`), { recursive: true, force: true });
+
+  if (recording.segmentDir) {
+    await fs.promises.rm(recording.segmentDir, { recursive: true, force: true });
+    // The joined file is verified everywhere, so waiting segment uploads are moot
+    if (uploadJobsCollection) {
+      await uploadJobsCollection.updateMany(
+        { recordingId: recording.recordingId, segmentIndex: { $ne: null }, status: 'pending' },
+        { $set: { status: 'cancelled', nextAttemptAt: null, updatedAt: new Date() } }
+      );
+    }
+  }
+
+  await videosCollection.updateOne(
+    { recordingId: recording.recordingId },
+    { $set: { localDeleted: true, localDeletedAt: new Date(), localDeleteReason: reason, updatedAt: new Date() } }
+  );
+
+  log(`Deleted local copy of ${recording.recordingId} (${reason})`);
+  io.emit('localCopyDeleted', { recordingId: recording.recordingId, reason });
+}
+
+// Apply the retention policy: first by age since verified upload, then
+// oldest-first until local recordings fit under RETENTION_MAX_GB
+async function runRetentionSweep() {
+  if (!videosCollection || storageState.sweeping || (!RETENTION_DAYS && !RETENTION_MAX_BYTES)) {
+    return;
+  }
+
+  storageState.sweeping = true;
+  try {
+    const localRecordings = await videosCollection
+      .find({ status: { $ne: 'recording' }, localDeleted: { $ne: true } })
+      .sort({ createdAt: 1 })
+      .toArray();
+    const deletable = localRecordings.filter(isLocalCopyDeletable);
+    const deleted = new Set();
+
+    if (RETENTION_DAYS) {
+      const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+      for (const recording of deletable) {
+        if (getLastUploadTime(recording) < cutoff) {
+          await deleteLocalRecording(recording, `older than ${RETENTION_DAYS} day(s) after upload`);
+          deleted.add(recording.recordingId);
+        }
+      }
+    }
+
+    if (RETENTION_MAX_BYTES) {
+      let totalBytes = localRecordings
+        .filter((rec) => !deleted.has(rec.recordingId))
+        .reduce((sum, rec) => sum + getRecordingLocalSize(rec), 0);
+
+      for (const recording of deletable) {
+        if (totalBytes <= RETENTION_MAX_BYTES) {
+          break;
+        }
+        if (deleted.has(recording.recordingId)) {
+          continue;
+        }
+        const size = getRecordingLocalSize(recording);
+        await deleteLocalRecording(recording, `local storage over ${process.env.RETENTION_MAX_GB} GB`);
+        totalBytes -= size;
+      }
+
+      if (totalBytes > RETENTION_MAX_BYTES) {
+        log('Local recordings exceed RETENTION_MAX_GB but nothing else is safe to delete', 'WARN');
+      }
+    }
+  } finally {
+    storageState.sweeping = false;
+  }
+}
+
+// Background sweeper and periodic free-space updates for the client header
+function startStorageMonitor() {
+  if (RETENTION_DAYS || RETENTION_MAX_BYTES) {
+    log(`Retention sweeper enabled (days: ${RETENTION_DAYS || 'off'}, max GB: ${process.env.RETENTION_MAX_GB || 'off'})`);
+    storageState.sweepTimer = setInterval(() => {
+      runRetentionSweep().catch((err) => logError('Retention sweep error', err));
+    }, RETENTION_SWEEP_INTERVAL_MS);
+    runRetentionSweep().catch((err) => logError('Retention sweep error', err));
+  }
+
+  storageState.statusTimer = setInterval(() => {
+    emitDiskStatus().catch((err) => logError('Disk status error', err));
+  }, DISK_STATUS_INTERVAL_MS);
+  emitDiskStatus().catch((err) => logError('Disk status error', err));
+}
+
+// Crash recovery
+// If the server dies mid-capture the document stays in 'recording' and the MP4
+// never gets its index. On startup, remux whatever ffmpeg can still read, mark
+// the recording 'recovered' or 'corrupt', and queue recovered ones for upload.
+async function probeDuration(filepath) {
+  const metadata = await probeMedia(filepath);
+  return Number(metadata.format.duration) || 0;
+}
+
+// Remux a damaged file in place without re-encoding; resolves with its duration
+async function repairVideoFile(filepath) {
+  if (!fs.existsSync(filepath)) {
+    throw new Error('File not found: ' + filepath);
+  }
+
+  const repairedPath = `${filepath}.recovered${path.extname(filepath)}`;
+  try {
+    await remuxFile(filepath, repairedPath, ['-err_detect', 'ignore_err']);
+
+    const duration = await probeDuration(repairedPath);
+    if (duration <= 0) {
+      throw new Error('Remuxed file has no playable frames');
+    }
+    await fs.promises.rename(repairedPath, filepath);
+    return duration;
+  } finally {
+    await fs.promises.unlink(repairedPath).catch(() => {});
+  }
+}
+
+async function recoverRecording(recording) {
+  const { recordingId } = recording;
+  log(`Recovering interrupted recording ${recordingId}`);
+
+  let duration = 0;
+  let recoveryError = null;
+  try {
+    duration = recording.segmented ?
+      await recoverSegments(recording) :
+      await recoverCaptureParts(recording);
+  } catch (err) {
+    recoveryError = err.message;
+  }
+
+  const recovered = duration > 0;
+  const update = {
+    status: recovered ? 'recovered' : 'corrupt',
+    paused: false,
+    duration,
+    endTime: recovered ? new Date(new Date(recording.startTime).getTime() + duration * 1000) : null,
+    recoveredAt: new Date(),
+    recoveryError,
+    updatedAt: new Date()
+  };
+  await videosCollection.updateOne({ recordingId }, { $set: update });
+
+  if (recovered) {
+    log(`Recovered ${recordingId} (${duration.toFixed(1)}s)`);
+    await finalizeRecording({ ...recording, ...update });
+  } else {
+    log(`Recording ${recordingId} is corrupt: ${recoveryError}`, 'WARN');
+    // Nothing left to watch, but stop any segment watcher left registered
+    segmentWatchers.delete(recordingId);
+  }
+}
+
+// Check each part of a (possibly paused) recording. Only the part being written
+// when the server died can be damaged; parts that can't be read are dropped.
+// Resolves with the total duration of the usable parts.
+async function recoverCaptureParts(recording) {
+  const parts = recording.parts || [recording.captureFilepath || recording.filepath];
+  const usable = [];
+  let duration = 0;
+
+  for (const part of parts) {
+    try {
+      // Fragmented files are readable as-is; finalizeRecording() remuxes them
+      duration += recording.remuxStatus === 'pending' ?
+        await probeDuration(part) :
+        await repairVideoFile(part);
+      usable.push(part);
+    } catch (err) {
+      log(`Could not recover ${path.basename(part)}: ${err.message}`, 'WARN');
+    }
+  }
+
+  if (usable.length === 0) {
+    throw new Error('No readable video in ' + parts.map((part) => path.basename(part)).join(', '));
+  }
+  recording.parts = usable;
+  await updateRecordingFields(recording.recordingId, { parts: usable });
+  return duration;
+}
+
+// Register segments ffmpeg closed after the last poll, then try to repair the
+// one it was writing. Leaves a watcher registered for finalizeRecording().
+// Resolves with the total duration of the usable segments.
+async function recoverSegments(recording) {
+  const watcher = startSegmentWatcher(recording, await getSegments(recording.recordingId));
+  await registerNewSegments(watcher);
+
+  const listed = new Set(watcher.segments.map((segment) => segment.filename));
+  const unlisted = fs.existsSync(recording.segmentDir) ?
+    fs.readdirSync(recording.segmentDir).filter((file) => /^segment_\d+\.(mp4|mkv)$/.test(file) && !listed.has(file)).sort() :
+    [];
+
+  for (const filename of unlisted) {
+    const start = watcher.segments.length > 0 ? watcher.segments[watcher.segments.length - 1].endOffset : 0;
+    try {
+      const duration = await repairVideoFile(path.join(recording.segmentDir, filename));
+      await registerSegment(watcher, { filename, start, end: start + duration });
+    } catch (err) {
+      log(`Could not repair segment ${filename} of ${recording.recordingId}: ${err.message}`, 'WARN');
+    }
+  }
+
+  return watcher.segments.reduce((total, segment) => total + segment.duration, 0);
+}
+
+// Preview frames are only needed while a capture runs
+async function removeStalePreviewDirs() {
+  const activeId = captureState.currentRecording?.recordingId;
+  const entries = await fs.promises.readdir(UPLOADS_DIR);
+  let removed = 0;
+
+  for (const entry of entries) {
+    if (entry.endsWith('_preview') && entry !== `${activeId}_preview`) {
+      await fs.promises.rm(path.join(UPLOADS_DIR, entry), { recursive: true, force: true });
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    log(`Removed ${removed} stale preview director${removed === 1 ? 'y' : 'ies'}`);
+  }
+}
+
+async function recoverOrphanedRecordings() {
+  if (videosCollection) {
+    // Nothing is capturing yet, so every 'recording' document is left over from a crash
+    const orphans = await videosCollection.find({ status: 'recording' }).toArray();
+    for (const recording of orphans) {
+      try {
+        await recoverRecording(recording);
+      } catch (err) {
+        logError(`Recovery of ${recording.recordingId} failed`, err);
+      }
+    }
+
+    // Clips that were being cut are cut again from the start
+    const clips = await videosCollection.find({ status: 'clipping' }).toArray();
+    clips.forEach(queueClip);
+  }
+
+  await removeStalePreviewDirs().catch((err) => logError('Preview cleanup error', err));
+}
+
+// Scheduled recordings
+// Schedules live in the schedules collection with their next run time, so
+// they survive restarts. A polling loop starts captures when they are due and
+// stops them once the target duration has passed.
+const SCHEDULE_POLL_MS = 5000;
+const SCHEDULE_CONFLICT_WINDOW_DAYS = 7;
+const SCHEDULE_TYPES = ['once', 'cron'];
+
+const schedulerState = {
+  timer: null,
+  ticking: false,
+  // { scheduleId, name, recordingId, stopAt } while a scheduled capture runs
+  activeRun: null
+};
+
+// Cron expressions
+// Standard five fields: minute hour day-of-month month day-of-week, each a
+// list of *, n, a-b, with an optional /step. Day-of-week 0 and 7 are Sunday.
+// As in cron, if both day fields are restricted a day matching either runs.
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+
+    let start = min;
+    let end = max;
+    if (match[1] !== '*') {
+      start = Number(match[2]);
+      end = match[3] !== undefined ? Number(match[3]) : (match[4] ? max : start);
+    }
+    const step = match[4] ? Number(match[4]) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Cron ${name} out of range: ${part}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+function parseCron(expression) {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*'
+  };
+}
+
+function cronDayMatches(cron, date) {
+  const dayMatch = cron.days.has(date.getDate());
+  const weekdayMatch = cron.weekdays.has(date.getDay());
+  if (cron.anyDay || cron.anyWeekday) {
+    return dayMatch && weekdayMatch;
+  }
+  return dayMatch || weekdayMatch;
+}
+
+// First time strictly after `after` that matches, in server local time
+function getNextCronTime(expression, after = new Date()) {
+  const cron = parseCron(expression);
+  const time = new Date(after);
+  time.setSeconds(0, 0);
+  time.setMinutes(time.getMinutes() + 1);
+  const limit = new Date(time.getFullYear() + 5, 0, 1);
+
+  while (time < limit) {
+    if (!cron.months.has(time.getMonth() + 1)) {
+      time.setMonth(time.getMonth() + 1, 1);
+      time.setHours(0, 0);
+    } else if (!cronDayMatches(cron, time)) {
+      time.setDate(time.getDate() + 1);
+      time.setHours(0, 0);
+    } else if (!cron.hours.has(time.getHours())) {
+      time.setHours(time.getHours() + 1, 0);
+    } else if (!cron.minutes.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() + 1);
+    } else {
+      return time;
+    }
+  }
+  return null;
+}
+
+// Next start time after `after`; null once a one-off schedule has run
+function getNextRunTime(schedule, after = new Date()) {
+  if (schedule.type === 'cron') {
+    return getNextCronTime(schedule.cron, after);
+  }
+  const startAt = new Date(schedule.startAt);
+  return startAt > after ? startAt : null;
+}
+
+function requireSchedules() {
+  if (!schedulesCollection) {
+    throw new Error('Scheduled recordings require a database connection');
+  }
+}
+
+// Validate schedule fields from a request; `existing` fills in what an update leaves out
+async function validateSchedule(input, existing = {}) {
+  const schedule = { ...existing };
+
+  if (input.name !== undefined || !existing.name) {
+    if (typeof input.name !== 'string' || !input.name.trim()) {
+      throw new Error('Schedule name is required');
+    }
+    schedule.name = input.name.trim();
+  }
+
+  if (input.type !== undefined || !existing.type) {
+    schedule.type = checkOneOf(input.type || (input.cron ? 'cron' : 'once'), 'type', SCHEDULE_TYPES);
+  }
+  if (schedule.type === 'once') {
+    const startAt = new Date(input.startAt !== undefined ? input.startAt : existing.startAt);
+    if (Number.isNaN(startAt.getTime())) {
+      throw new Error('startAt must be a date, e.g. 2025-01-31T09:00:00');
+    }
+    schedule.startAt = startAt;
+    schedule.cron = null;
+  } else {
+    schedule.cron = input.cron !== undefined ? String(input.cron).trim() : existing.cron;
+    parseCron(schedule.cron);
+    schedule.startAt = null;
+  }
+
+  if (input.durationMinutes !== undefined || existing.durationMinutes === undefined) {
+    schedule.durationMinutes = checkNumber(input.durationMinutes, 'durationMinutes', 1, 24 * 60);
+  }
+  if (input.profileId !== undefined) {
+    if (input.profileId && !(await getProfile(input.profileId))) {
+      throw new Error('Capture profile not found: ' + input.profileId);
+    }
+    schedule.profileId = input.profileId || null;
+  }
+  if (input.device !== undefined) {
+    schedule.device = input.device ? resolveCaptureDevice(input.device) : null;
+  }
+  if (input.notes !== undefined) schedule.notes = String(input.notes);
+  if (input.enabled !== undefined) schedule.enabled = Boolean(input.enabled);
+
+  return schedule;
+}
+
+function getRunWindow(start, schedule) {
+  return { start, end: new Date(start.getTime() + schedule.durationMinutes * 60000) };
+}
+
+// Upcoming run windows within the conflict window
+function getUpcomingRuns(schedule, from = new Date()) {
+  const until = new Date(from.getTime() + SCHEDULE_CONFLICT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const runs = [];
+  // Include a run that started before `from` and is still going
+  let next = getNextRunTime(schedule, new Date(from.getTime() - schedule.durationMinutes * 60000));
+
+  while (next && next < until && runs.length < 200) {
+    runs.push(getRunWindow(next, schedule));
+    next = schedule.type === 'cron' ? getNextCronTime(schedule.cron, next) : null;
+  }
+  return runs;
+}
+
+// Other enabled schedules whose runs overlap this one's in the next week.
+// Only one capture can run at a time, so the later start would be skipped.
+async function findScheduleConflicts(schedule) {
+  if (schedule.enabled === false) {
+    return [];
+  }
+
+  const runs = getUpcomingRuns(schedule);
+  const others = await schedulesCollection
+    .find({ enabled: true, scheduleId: { $ne: schedule.scheduleId } })
+    .toArray();
+
+  const conflicts = [];
+  for (const other of others) {
+    const overlap = getUpcomingRuns(other).find((otherRun) =>
+      runs.some((run) => run.start < otherRun.end && otherRun.start < run.end));
+    if (overlap) {
+      conflicts.push({ scheduleId: other.scheduleId, name: other.name, at: overlap.start });
+    }
+  }
+  return conflicts;
+}
+
+async function listSchedules() {
+  if (!schedulesCollection) {
+    return [];
+  }
+  // Upcoming first; finished one-off schedules (no next run) last
+  const schedules = await schedulesCollection.find().toArray();
+  return schedules.sort((a, b) =>
+    (a.nextRunAt ? new Date(a.nextRunAt).getTime() : Infinity) - (b.nextRunAt ? new Date(b.nextRunAt).getTime() : Infinity));
+}
+
+async function getSchedule(scheduleId) {
+  if (!schedulesCollection) {
+    return null;
+  }
+  return await schedulesCollection.findOne({ scheduleId });
+}
+
+async function createSchedule(input) {
+  requireSchedules();
+  const schedule = await validateSchedule(input);
+  schedule._id = new ObjectId();
+  schedule.scheduleId = uuidv4();
+  schedule.profileId = schedule.profileId || null;
+  schedule.device = schedule.device || null;
+  schedule.notes = schedule.notes || '';
+  schedule.enabled = schedule.enabled !== false;
+  schedule.nextRunAt = getNextRunTime(schedule);
+  schedule.activeRun = null;
+  schedule.lastRunAt = null;
+  schedule.lastStatus = null;
+  schedule.lastError = null;
+  schedule.createdAt = new Date();
+  schedule.updatedAt = new Date();
+
+  await schedulesCollection.insertOne(schedule);
+  const conflicts = await findScheduleConflicts(schedule);
+  emitSchedulesChanged();
+  return { schedule, conflicts };
+}
+
+async function updateSchedule(scheduleId, input) {
+  requireSchedules();
+  const existing = await getSchedule(scheduleId);
+  if (!existing) {
+    return null;
+  }
+
+  const schedule = await validateSchedule(input, existing);
+  schedule.nextRunAt = getNextRunTime(schedule);
+  schedule.updatedAt = new Date();
+  await schedulesCollection.replaceOne({ scheduleId }, schedule);
+
+  const conflicts = await findScheduleConflicts(schedule);
+  emitSchedulesChanged();
+  return { schedule, conflicts };
+}
+
+async function deleteSchedule(scheduleId) {
+  requireSchedules();
+  const result = await schedulesCollection.deleteOne({ scheduleId });
+  if (schedulerState.activeRun?.scheduleId === scheduleId) {
+    // Leave the capture running; the operator can stop it by hand
+    schedulerState.activeRun = null;
+  }
+  emitSchedulesChanged();
+  return result.deletedCount > 0;
+}
+
+function emitSchedulesChanged() {
+  io.emit('schedulesChanged', { activeRun: schedulerState.activeRun });
+}
+
+async function setScheduleFields(scheduleId, fields) {
+  await schedulesCollection.updateOne({ scheduleId }, { $set: { ...fields, updatedAt: new Date() } });
+}
+
+// Start a due run. `runAt` is the scheduled start, so a late start still
+// stops at the planned end.
+async function startScheduledRun(schedule, runAt) {
+  const { scheduleId, name } = schedule;
+  const stopAt = new Date(runAt.getTime() + schedule.durationMinutes * 60000);
+  const nextRunAt = getNextRunTime(schedule, runAt);
+
+  if (captureState.isCapturing) {
+    const reason = schedulerState.activeRun ?
+      `Scheduled recording "${schedulerState.activeRun.name}" is still running` :
+      'A manual capture is already running';
+    log(`Skipping scheduled recording "${name}": ${reason}`, 'WARN');
+    await setScheduleFields(scheduleId, { nextRunAt, lastRunAt: runAt, lastStatus: 'conflict', lastError: reason });
+    io.emit('scheduleConflict', { scheduleId, name, runAt, reason });
+    return;
+  }
+
+  try {
+    const notes = schedule.notes || `Scheduled: ${name}`;
+    const result = await startCapture(notes, {
+      device: schedule.device || undefined,
+      profileId: schedule.profileId || undefined,
+      metadata: { title: name }
+    });
+    const activeRun = { scheduleId, name, recordingId: result.recordingId, startedAt: result.startTime, stopAt };
+    schedulerState.activeRun = activeRun;
+
+    if (videosCollection) {
+      await videosCollection.updateOne(
+        { recordingId: result.recordingId },
+        { $set: { scheduleId, scheduleName: name } }
+      );
+    }
+    await setScheduleFields(scheduleId, { nextRunAt, lastRunAt: runAt, activeRun, lastStatus: 'running', lastError: null });
+
+    log(`Scheduled recording "${name}" started (${result.recordingId}), stopping at ${stopAt.toISOString()}`);
+    io.emit('scheduleStarted', activeRun);
+  } catch (err) {
+    logError(`Scheduled recording "${name}" failed to start`, err);
+    await setScheduleFields(scheduleId, { nextRunAt, lastRunAt: runAt, lastStatus: 'error', lastError: err.message });
+    io.emit('scheduleConflict', { scheduleId, name, runAt, reason: err.message });
+  }
+}
+
+async function finishScheduledRun() {
+  const run = schedulerState.activeRun;
+  schedulerState.activeRun = null;
+
+  // The operator may have stopped it already, or started something else since
+  if (captureState.isCapturing && captureState.currentRecording?.recordingId === run.recordingId) {
+    try {
+      await stopAndFinalizeCapture('schedule');
+    } catch (err) {
+      logError(`Stopping scheduled recording "${run.name}" failed`, err);
+    }
+  }
+
+  await setScheduleFields(run.scheduleId, { activeRun: null, lastStatus: 'completed' });
+  log(`Scheduled recording "${run.name}" finished`);
+  io.emit('scheduleEnded', { scheduleId: run.scheduleId, name: run.name, recordingId: run.recordingId });
+}
+
+async function runSchedulerTick() {
+  if (!schedulesCollection || schedulerState.ticking) {
+    return;
+  }
+
+  schedulerState.ticking = true;
+  try {
+    const now = new Date();
+    const run = schedulerState.activeRun;
+    if (run && (now >= run.stopAt || captureState.currentRecording?.recordingId !== run.recordingId)) {
+      await finishScheduledRun();
+    }
+
+    const due = await schedulesCollection
+      .find({ enabled: true, nextRunAt: { $ne: null, $lte: now } })
+      .sort({ nextRunAt: 1 })
+      .toArray();
+
+    for (const schedule of due) {
+      const runAt = new Date(schedule.nextRunAt);
+      if (getRunWindow(runAt, schedule).end <= now) {
+        // The whole window passed while the server was down
+        log(`Missed scheduled recording "${schedule.name}" at ${runAt.toISOString()}`, 'WARN');
+        await setScheduleFields(schedule.scheduleId, {
+          nextRunAt: getNextRunTime(schedule, now),
+          lastRunAt: runAt,
+          lastStatus: 'missed'
+        });
+        continue;
+      }
+      await startScheduledRun(schedule, runAt);
+    }
+
+    if (due.length > 0) {
+      emitSchedulesChanged();
+    }
+  } finally {
+    schedulerState.ticking = false;
+  }
+}
+
+// Pick up where we left off after a restart. A run that was in progress when
+// the server stopped is started again for what is left of its window; its
+// interrupted recording is handled by crash recovery.
+async function startScheduler() {
+  if (!schedulesCollection) {
+    log('Scheduler disabled (no database connection)', 'WARN');
+    return;
+  }
+
+  const interrupted = await schedulesCollection.find({ activeRun: { $ne: null } }).toArray();
+  for (const schedule of interrupted) {
+    const stopAt = new Date(schedule.activeRun.stopAt);
+    const remaining = stopAt - Date.now();
+    await setScheduleFields(schedule.scheduleId, { activeRun: null, lastStatus: 'interrupted' });
+    if (remaining > 0 && schedule.enabled) {
+      log(`Resuming scheduled recording "${schedule.name}" for the remaining ${Math.ceil(remaining / 60000)} minute(s)`);
+      await startScheduledRun(schedule, new Date(stopAt.getTime() - schedule.durationMinutes * 60000));
+    }
+  }
+
+  const enabled = await schedulesCollection.countDocuments({ enabled: true });
+  log(`Scheduler started (${enabled} enabled schedule(s))`);
+  schedulerState.timer = setInterval(() => {
+    runSchedulerTick().catch((err) => logError('Scheduler error', err));
+  }, SCHEDULE_POLL_MS);
+  runSchedulerTick().catch((err) => logError('Scheduler error', err));
+}
+
+// Update notes for a recording; every saved version is kept in notesHistory
+async function updateNotes(recordingId, notes) {
+  if (videosCollection) {
+    const result = await videosCollection.updateOne(
+      { recordingId },
+      {
+        $set: { notes, updatedAt: new Date() },
+        $push: { notesHistory: { notes, savedAt: new Date() } }
+      }
+    );
+    return result.modifiedCount > 0;
+  }
+  return false;
+}
+
+// Recording metadata
+// Every recording has a title, tags, operator and location, plus values for
+// the custom fields an admin defines in the metadataFields collection.
+const METADATA_TEXT_MAX_LENGTH = 200;
+const METADATA_MAX_TAGS = 20;
+const METADATA_TAG_MAX_LENGTH = 50;
+const METADATA_FIELD_TYPES = ['text', 'number', 'date', 'select'];
+const METADATA_FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+const metadataState = {
+  fields: []
+};
+
+function requireMetadataFields() {
+  if (!metadataFieldsCollection) {
+    throw new Error('Custom fields require a database connection');
+  }
+}
+
+async function loadMetadataFields() {
+  metadataState.fields = metadataFieldsCollection ?
+    await metadataFieldsCollection.find().sort({ createdAt: 1 }).toArray() :
+    [];
+}
+
+function emitMetadataFieldsChanged() {
+  io.emit('metadataFieldsChanged', { fields: metadataState.fields });
+}
+
+// The key is fixed once created, since recordings store their values under it
+function validateMetadataField(input, existing = {}) {
+  const field = { ...existing };
+
+  if (!existing.key) {
+    field.key = checkPattern(input.key, 'key', METADATA_FIELD_KEY_PATTERN, 'room_number (lowercase letters, digits, _)');
+  }
+  if (input.label !== undefined || !existing.label) {
+    if (typeof input.label !== 'string' || !input.label.trim()) {
+      throw new Error('Custom field label is required');
+    }
+    field.label = input.label.trim();
+  }
+  if (input.type !== undefined || !existing.type) {
+    field.type = checkOneOf(input.type ?? 'text', 'type', METADATA_FIELD_TYPES);
+  }
+  if (field.type === 'select') {
+    const options = input.options ?? existing.options;
+    if (!Array.isArray(options) || options.length === 0 || !options.every((option) => typeof option === 'string' && option.trim())) {
+      throw new Error('A select field needs a list of options');
+    }
+    field.options = [...new Set(options.map((option) => option.trim()))];
+  } else {
+    field.options = [];
+  }
+  return field;
+}
+
+async function createMetadataField(input) {
+  requireMetadataFields();
+  const field = validateMetadataField(input);
+  field._id = new ObjectId();
+  field.createdAt = new Date();
+  field.updatedAt = new Date();
+
+  try {
+    await metadataFieldsCollection.insertOne(field);
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new Error(`A custom field with key "${field.key}" already exists`);
+    }
+    throw err;
+  }
+  await loadMetadataFields();
+  emitMetadataFieldsChanged();
+  return field;
+}
+
+async function updateMetadataField(key, input) {
+  requireMetadataFields();
+  const existing = await metadataFieldsCollection.findOne({ key });
+  if (!existing) {
+    return null;
+  }
+
+  const field = validateMetadataField(input, existing);
+  field.updatedAt = new Date();
+  await metadataFieldsCollection.replaceOne({ key }, field);
+  await loadMetadataFields();
+  emitMetadataFieldsChanged();
+  return field;
+}
+
+// Values already stored on recordings are left alone
+async function deleteMetadataField(key) {
+  requireMetadataFields();
+  const result = await metadataFieldsCollection.deleteOne({ key });
+  await loadMetadataFields();
+  emitMetadataFieldsChanged();
+  return result.deletedCount > 0;
+}
+
+function cleanText(value, name) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value !== 'string') {
+    throw new Error(`${name} must be text`);
+  }
+  const text = value.trim();
+  if (text.length > METADATA_TEXT_MAX_LENGTH) {
+    throw new Error(`${name} is longer than ${METADATA_TEXT_MAX_LENGTH} characters`);
+  }
+  return text;
+}
+
+// An array or a comma-separated string; stored lowercase without duplicates
+function normalizeTags(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+  const tags = [...new Set(list.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))];
+  if (tags.length > METADATA_MAX_TAGS) {
+    throw new Error(`A recording can have at most ${METADATA_MAX_TAGS} tags`);
+  }
+  const long = tags.find((tag) => tag.length > METADATA_TAG_MAX_LENGTH);
+  if (long) {
+    throw new Error(`Tag is longer than ${METADATA_TAG_MAX_LENGTH} characters: ${long}`);
+  }
+  return tags;
+}
+
+// Merged into `existing`; null or '' removes a value
+function validateCustomFields(input, existing = {}) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    throw new Error('customFields must be an object');
+  }
+
+  const values = { ...existing };
+  for (const [key, value] of Object.entries(input)) {
+    const field = metadataState.fields.find((f) => f.key === key);
+    if (!field) {
+      throw new Error(`Unknown custom field: ${key}`);
+    }
+    if (value === null || value === '') {
+      delete values[key];
+    } else if (field.type === 'number') {
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        throw new Error(`${field.label} must be a number`);
+      }
+      values[key] = number;
+    } else if (field.type === 'date') {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw new Error(`${field.label} must be a date`);
+      }
+      values[key] = date;
+    } else if (field.type === 'select') {
+      values[key] = checkOneOf(String(value), field.label, field.options);
+    } else {
+      values[key] = cleanText(String(value), field.label);
+    }
+  }
+  return values;
+}
+
+// Only the fields present in `input` are returned, ready for $set
+function validateRecordingMetadata(input, existing = {}) {
+  const metadata = {};
+  for (const name of ['title', 'operator', 'location']) {
+    if (input[name] !== undefined) {
+      metadata[name] = cleanText(input[name], name);
+    }
+  }
+  if (input.tags !== undefined) {
+    metadata.tags = normalizeTags(input.tags);
+  }
+  if (input.customFields !== undefined) {
+    metadata.customFields = validateCustomFields(input.customFields, existing.customFields);
+  }
+  return metadata;
+}
+
+async function updateRecordingMetadata(recording, input) {
+  const metadata = validateRecordingMetadata(input, recording);
+  if (Object.keys(metadata).length === 0) {
+    throw new Error('Nothing to update');
+  }
+
+  await updateRecordingFields(recording.recordingId, metadata);
+  if (captureState.currentRecording?.recordingId === recording.recordingId) {
+    Object.assign(captureState.currentRecording, metadata);
+  }
+  io.emit('recordingUpdated', { recordingId: recording.recordingId, metadata });
+  return metadata;
+}
+
+// Recording search
+// GET /api/recordings pages through the list with a cursor: the sort value
+// and _id of the last recording on the previous page. Unlike skip/limit this
+// stays fast deep into the list and does not repeat or drop recordings when
+// new ones are added while scrolling.
+const RECORDINGS_PAGE_SIZE = 25;
+const RECORDINGS_MAX_PAGE_SIZE = 200;
+const RECORDING_SORT_FIELDS = ['createdAt', 'startTime', 'duration', 'title'];
+
+// ?tag=a&tag=b and ?tag=a,b both give ['a', 'b']
+function getListParam(value) {
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((item) => String(item ?? '').split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function parseDateParam(value, name) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date: ${value}`);
+  }
+  return date;
+}
+
+function encodeCursor(recording, sortField) {
+  const value = recording[sortField] ?? null;
+  const cursor = { v: value instanceof Date ? value.toISOString() : value, d: value instanceof Date, id: recording._id.toString() };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return { value: d ? new Date(v) : v, id: new ObjectId(id) };
+  } catch (err) {
+    throw new Error('Invalid cursor');
+  }
+}
+
+// Recordings after the cursor in (sortField, _id) order. MongoDB sorts null
+// and missing values before everything else, so they need their own branch.
+function getCursorFilter(sortField, direction, { value, id }) {
+  const after = direction === 1 ? '$gt' : '$lt';
+  if (value === null) {
+    const sameValue = { [sortField]: null, _id: { [after]: id } };
+    return direction === 1 ? { $or: [sameValue, { [sortField]: { $ne: null } }] } : sameValue;
+  }
+
+  const branches = [
+    { [sortField]: { [after]: value } },
+    { [sortField]: value, _id: { [after]: id } }
+  ];
+  if (direction === -1) {
+    branches.push({ [sortField]: null });
+  }
+  return { $or: branches };
+}
+
+// Validate the query string of GET /api/recordings
+function parseRecordingsQuery(query) {
+  const filter = {};
+  if (query.q) {
+    filter.$text = { $search: String(query.q) };
+  }
+  const statuses = getListParam(query.status);
+  if (statuses.length > 0) {
+    filter.status = { $in: statuses };
+  }
+  const tags = getListParam(query.tag).map((tag) => tag.toLowerCase());
+  if (tags.length > 0) {
+    filter.tags = { $all: tags };
+  }
+  if (query.from || query.to) {
+    filter.startTime = {};
+    if (query.from) {
+      filter.startTime.$gte = parseDateParam(query.from, 'from');
+    }
+    if (query.to) {
+      filter.startTime.$lte = parseDateParam(query.to, 'to');
+    }
+  }
+
+  const sortField = checkOneOf(query.sort || 'createdAt', 'sort', RECORDING_SORT_FIELDS);
+  const direction = checkOneOf(query.order || 'desc', 'order', ['asc', 'desc']) === 'asc' ? 1 : -1;
+  const limit = Math.min(Math.max(parseInt(query.limit) || RECORDINGS_PAGE_SIZE, 1), RECORDINGS_MAX_PAGE_SIZE);
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  return { filter, sortField, direction, limit, cursor };
+}
+
+// One page of recordings; `total` (matches for the whole query) is only
+// counted for the first page
+async function getRecordings({ filter, sortField, direction, limit, cursor }) {
+  if (!videosCollection) {
+    return { recordings: [], nextCursor: null, total: 0 };
+  }
+
+  const pageFilter = cursor ? { ...filter, ...getCursorFilter(sortField, direction, cursor) } : filter;
+  const recordings = await videosCollection
+    .find(pageFilter)
+    .sort({ [sortField]: direction, _id: direction })
+    .limit(limit + 1)
+    .toArray();
+
+  const page = recordings.slice(0, limit);
+  return {
+    recordings: page,
+    nextCursor: recordings.length > limit ? encodeCursor(page[page.length - 1], sortField) : null,
+    total: cursor ? null : await videosCollection.countDocuments(filter)
+  };
+}
+
+// Get single recording
+async function getRecording(recordingId) {
+  if (videosCollection) {
+    return await videosCollection.findOne({ recordingId });
+  }
+  return null;
+}
+
+// API Routes
+app.post('/api/capture/start', async (req, res) => {
+  try {
+    const { notes, device, profileId, title, tags, operator, location, customFields } = req.body;
+    const result = await startCapture(notes || '', {
+      device,
+      profileId,
+      metadata: { title, tags, operator, location, customFields }
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/capture/stop', async (req, res) => {
+  try {
+    const result = await stopAndFinalizeCapture();
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/capture/pause', async (req, res) => {
+  try {
+    const result = await pauseCapture();
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/capture/resume', async (req, res) => {
+  try {
+    const result = await resumeCapture();
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/capture/:recordingId/notes', async (req, res) => {
+  try {
+    const { recordingId } = req.params;
+    const { notes } = req.body;
+    const result = await updateNotes(recordingId, notes);
+    if (captureState.currentRecording?.recordingId === recordingId) {
+      captureState.currentRecording.notes = notes;
+    }
+    io.emit('notesUpdated', { recordingId, notes });
+    res.json({ success: result });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ?q=&status=&tag=&from=&to=&sort=&order=&limit=&cursor=
+app.get('/api/recordings', async (req, res) => {
+  let options;
+  try {
+    options = parseRecordingsQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    res.json(await getRecordings(options));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Every tag in use, for filter suggestions
+app.get('/api/tags', async (req, res) => {
+  try {
+    const tags = videosCollection ? await videosCollection.distinct('tags') : [];
+    res.json(tags.sort());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/recordings/:recordingId', async (req, res) => {
+  try {
+    const recording = await getRecording(req.params.recordingId);
+    if (recording) {
+      res.json(recording);
+    } else {
+      res.status(404).json({ error: 'Recording not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body with any of { title, tags, operator, location, customFields }
+app.put('/api/recordings/:recordingId/metadata', async (req, res) => {
+  try {
+    const recording = await getRecording(req.params.recordingId);
+    if (!recording) {
+      return res.status(404).json({ success: false, error: 'Recording not found' });
+    }
+    const metadata = await updateRecordingMetadata(recording, req.body || {});
+    res.json({ success: true, metadata });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/recordings/:recordingId/artwork/:kind', async (req, res) => {
+  try {
+    const field = ARTWORK_KINDS[req.params.kind];
+    if (!field) {
+      return res.status(404).json({ error: 'Unknown artwork: ' + req.params.kind });
+    }
+
+    const recording = await getRecording(req.params.recordingId);
+    const file = recording?.artwork?.[field];
+    if (!file || !fs.existsSync(file)) {
+      return res.status(404).json({ error: 'Artwork not available' });
+    }
+    res.sendFile(file);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Play back the local copy. res.sendFile answers Range requests with 206
+// partial content, so the player can seek without downloading the whole file.
+// Unjoined segmented recordings are played one segment at a time (?segment=N).
+app.get('/api/recordings/:recordingId/media', async (req, res) => {
+  try {
+    const recording = await getRecording(req.params.recordingId);
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    if (recording.status === 'recording') {
+      return res.status(409).json({ error: 'Recording is still in progress' });
+    }
+    if (recording.localDeleted) {
+      return res.status(410).json({ error: 'Local copy was deleted by the retention policy' });
+    }
+
+    let file = recording.filepath;
+    if (req.query.segment !== undefined || (recording.segmented && !fs.existsSync(file))) {
+      const index = parseInt(req.query.segment, 10) || 0;
+      const segment = (await getSegments(recording.recordingId)).find((s) => s.index === index);
+      file = segment ? segment.filepath : null;
+    }
+    if (!file || !fs.existsSync(file)) {
+      return res.status(404).json({ error: 'Local file not found' });
+    }
+
+    res.set('Content-Type', getContentType(file));
+    res.sendFile(file);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/recordings/:recordingId/segments', async (req, res) => {
+  try {
+    const recording = await getRecording(req.params.recordingId);
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    res.json({ segmented: Boolean(recording.segmented), segments: await getSegments(recording.recordingId) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Probe a recording again, e.g. one finalized before media metadata existed
+app.post('/api/recordings/:recordingId/probe', async (req, res) => {
+  try {
+    const recording = await getRecording(req.params.recordingId);
+    if (!recording) {
+      return res.status(404).json({ success: false, error: 'Recording not found' });
+    }
+
+    const sources = await getLocalSources(recording);
+    if (sources.length === 0) {
+      return res.status(409).json({ success: false, error: 'The local copy is gone' });
+    }
+
+    const media = await storeMediaInfo(recording, sources);
+    res.json({ success: Boolean(media), media });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/recordings/:recordingId/clips', async (req, res) => {
+  try {
+    res.json(await getClips(req.params.recordingId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cut a clip; body { in, out, notes } with seconds or [hh:]mm:ss timestamps.
+// Responds once the clip is queued; clipCreated or clipError follows.
+app.post('/api/recordings/:recordingId/clips', async (req, res) => {
+  try {
+    const recording = await getRecording(req.params.recordingId);
+    if (!recording) {
+      return res.status(404).json({ success: false, error: 'Recording not found' });
+    }
+    const clip = await createClip(recording, req.body || {});
+    res.status(202).json({ success: true, clip });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
   }
-}
+});
 
-// Upload to SFTP
-async function uploadToSFTP(filepath, recordingId) {
-  const sftp = new SftpClient();
-  const filename = path.basename(filepath);
-  const remotePath = `${SFTP_CONFIG.uploadDir}/${recordingId}/${filename}`;
-  
+app.get('/api/recordings/:recordingId/markers', async (req, res) => {
   try {
-    await sftp.connect({
-      host: SFTP_CONFIG.host,
-      port: SFTP_CONFIG.port,
-      username: SFTP_CONFIG.username,
-      password: SFTP_CONFIG.password || undefined,
-      privateKey: SFTP_CONFIG.privateKey || undefined
-    });
-    
-    console.log(`Connected to SFTP: ${SFTP_CONFIG.host} as ${SFTP_CONFIG.username}`);
-    
-    // Create remote directory if it doesn't exist
-    const remoteDir = `${SFTP_CONFIG.uploadDir}/${recordingId}`;
-    try {
-      await sftp.mkdir(remoteDir, true);
-    } catch (err) {
-      // Directory may already exist, ignore error
-      console.log('Remote directory check:', err.message);
+    res.json(await getMarkers(req.params.recordingId));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body { category, text, author, offset }; without offset the marker goes at
+// the current position of the running capture
+app.post('/api/recordings/:recordingId/markers', async (req, res) => {
+  try {
+    const recording = await getRecording(req.params.recordingId);
+    if (!recording) {
+      return res.status(404).json({ success: false, error: 'Recording not found' });
     }
-    
-    // Upload file
-    await sftp.put(filepath, remotePath);
-    console.log('Uploaded to SFTP:', remotePath);
-    
-    await sftp.end();
-    
-    const sftpLocation = `sftp://${SFTP_CONFIG.username}@${SFTP_CONFIG.host}${remotePath}`;
-    
-    // Update database with SFTP location
-    if (videosCollection) {
-      await videosCollection.updateOne(
-        { recordingId },
-        { $set: { sftpLocation, uploadedToRemote: true, updatedAt: new Date() } }
-      );
+    const marker = await addMarker(recording, req.body || {});
+    res.json({ success: true, marker });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/recordings/:recordingId/markers/:markerId', async (req, res) => {
+  try {
+    const deleted = await deleteMarker(req.params.recordingId, req.params.markerId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Marker not found' });
     }
-    
-    return { Location: sftpLocation };
+    res.json({ success: true });
   } catch (error) {
-    console.error('SFTP upload error:', error.message);
-    throw error;
+    res.status(400).json({ success: false, error: error.message });
   }
-}
+});
 
-// Upload to S3
-async function uploadToS3(filepath, recordingId) {
-  const s3Folder = process.env.AWS_S3_FOLDER || 'videos';
-  const filename = path.basename(filepath);
-  
-  const fileContent = fs.readFileSync(filepath);
-  
-  const params = {
-    Bucket: process.env.AWS_S3_BUCKET,
-    Key: `${s3Folder}/${recordingId}/${filename}`,
-    Body: fileContent,
-    ContentType: 'video/mp4'
-  };
+// Current markers as WebVTT chapters; the sidecar written at finalize is a snapshot
+app.get('/api/recordings/:recordingId/chapters.vtt', async (req, res) => {
+  try {
+    const recording = await getRecording(req.params.recordingId);
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+    const duration = recording.status === 'recording' ?
+      getRecordedDuration(recording, new Date()) :
+      toNumber(recording.media?.duration) || toNumber(recording.duration);
+    res.type('text/vtt').send(getChaptersVtt(getChapters(await getMarkers(recording.recordingId), duration)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  const result = await s3.upload(params).promise();
-  console.log('Uploaded to S3:', result.Location);
-  
-  // Update database with S3 location
-  if (videosCollection) {
-    await videosCollection.updateOne(
-      { recordingId },
-      { $set: { s3Location: result.Location, uploadedToRemote: true, updatedAt: new Date() } }
-    );
+app.post('/api/recordings/:recordingId/upload', async (req, res) => {
+  try {
+    const recording = await getRecording(req.params.recordingId);
+    if (!recording) {
+      return res.status(404).json({ success: false, error: 'Recording not found' });
+    }
+    const result = await requestUpload(recording, req.body?.target);
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
   }
+});
 
-  return result;
-}
+app.delete('/api/recordings/:recordingId/upload', async (req, res) => {
+  try {
+    const result = await cancelUpload(req.params.recordingId, req.query.target);
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
 
-// Update notes for a recording
-async function updateNotes(recordingId, notes) {
-  if (videosCollection) {
-    const result = await videosCollection.updateOne(
-      { recordingId },
-      { $set: { notes, updatedAt: new Date() } }
-    );
-    return result.modifiedCount > 0;
+app.get('/api/storage', async (req, res) => {
+  try {
+    res.json(await emitDiskStatus());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
-  return false;
-}
+});
 
-// Get all recordings
-async function getRecordings() {
-  if (videosCollection) {
-    return await videosCollection.find().sort({ createdAt: -1 }).toArray();
+app.get('/api/profiles', async (req, res) => {
+  try {
+    const profiles = await listProfiles();
+    res.json({ defaults: getDefaultCaptureSettings(), profiles });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
-  return [];
-}
+});
 
-// Get single recording
-async function getRecording(recordingId) {
-  if (videosCollection) {
-    return await videosCollection.findOne({ recordingId });
+app.get('/api/profiles/:profileId', async (req, res) => {
+  try {
+    const profile = await getProfile(req.params.profileId);
+    if (profile) {
+      res.json(profile);
+    } else {
+      res.status(404).json({ error: 'Profile not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
-  return null;
-}
+});
 
-// API Routes
-app.post('/api/capture/start', async (req, res) => {
+app.post('/api/profiles', async (req, res) => {
   try {
-    const { notes } = req.body;
-    const result = await startCapture(notes || '');
-    res.json({ success: true, ...result });
+    const profile = await createProfile(req.body || {});
+    res.json({ success: true, profile });
   } catch (error) {
     res.status(400).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/capture/stop', async (req, res) => {
+app.put('/api/profiles/:profileId', async (req, res) => {
   try {
-    const recordingId = captureState.currentRecording?.recordingId;
-    const result = await stopCapture();
-
-    // Finalize the recording after successful stop
-    if (result.success && recordingId) {
-      const endTime = new Date();
-      const startTime = captureState.currentRecording?.startTime;
+    const profile = await updateProfile(req.params.profileId, req.body || {});
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'Profile not found' });
+    }
+    res.json({ success: true, profile });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
 
-      // Update database record
-      if (videosCollection) {
-        await videosCollection.updateOne(
-          { recordingId },
-          {
-            $set: {
-              status: 'completed',
-              endTime,
-              duration: startTime ? (endTime - startTime) / 1000 : 0,
-              updatedAt: new Date()
-            }
-          }
-        );
-      }
+app.delete('/api/profiles/:profileId', async (req, res) => {
+  try {
+    const deleted = await deleteProfile(req.params.profileId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Profile not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
 
-      // Upload to remote storage
-      const filepath = captureState.currentRecording?.filepath;
-      if (filepath) {
-        try {
-          await uploadFile(filepath, recordingId);
-          if (videosCollection) {
-            await videosCollection.updateOne(
-              { recordingId },
-              { $set: { uploadedToRemote: true, updatedAt: new Date() } }
-            );
-          }
-          io.emit('uploadComplete', { recordingId });
-        } catch (uploadError) {
-          logError('Upload error', uploadError);
-          if (videosCollection) {
-            await videosCollection.updateOne(
-              { recordingId },
-              { $set: { uploadedToRemote: false, uploadError: uploadError.message, updatedAt: new Date() } }
-            );
-          }
-          io.emit('uploadError', { error: uploadError.message });
-        }
-      }
+app.get('/api/schedules', async (req, res) => {
+  try {
+    const schedules = await listSchedules();
+    res.json({ schedules, activeRun: schedulerState.activeRun });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      io.emit('captureEnded', { recordingId, endTime });
-      captureState.isCapturing = false;
-      captureState.currentRecording = null;
-      captureState.stopRequested = false;
+app.get('/api/schedules/:scheduleId', async (req, res) => {
+  try {
+    const schedule = await getSchedule(req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
     }
+    res.json({ ...schedule, upcoming: getUpcomingRuns(schedule).slice(0, 10) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    res.json(result);
+app.post('/api/schedules', async (req, res) => {
+  try {
+    const result = await createSchedule(req.body || {});
+    res.json({ success: true, ...result });
   } catch (error) {
     res.status(400).json({ success: false, error: error.message });
   }
 });
 
-app.post('/api/capture/:recordingId/notes', async (req, res) => {
+app.put('/api/schedules/:scheduleId', async (req, res) => {
   try {
-    const { recordingId } = req.params;
-    const { notes } = req.body;
-    const result = await updateNotes(recordingId, notes);
-    res.json({ success: result });
+    const result = await updateSchedule(req.params.scheduleId, req.body || {});
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+    res.json({ success: true, ...result });
   } catch (error) {
     res.status(400).json({ success: false, error: error.message });
   }
 });
 
-app.get('/api/recordings', async (req, res) => {
+app.delete('/api/schedules/:scheduleId', async (req, res) => {
   try {
-    const recordings = await getRecordings();
-    res.json(recordings);
+    const deleted = await deleteSchedule(req.params.scheduleId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Schedule not found' });
+    }
+    res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(400).json({ success: false, error: error.message });
   }
 });
 
-app.get('/api/recordings/:recordingId', async (req, res) => {
+app.get('/api/devices', async (req, res) => {
   try {
-    const recording = await getRecording(req.params.recordingId);
-    if (recording) {
-      res.json(recording);
-    } else {
-      res.status(404).json({ error: 'Recording not found' });
-    }
+    const devices = await listCaptureDevices();
+    res.json({ defaultDevice: VIDEO_CAPTURE_DEVICE, devices });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -713,7 +5748,7 @@ app.get('/api/recordings/:recordingId', async (req, res) => {
 // Preview control routes
 app.post('/api/preview/start', async (req, res) => {
   try {
-    const result = await startPreview();
+    const result = await startPreview({ device: req.body?.device });
     res.json(result);
   } catch (error) {
     res.status(400).json({ success: false, error: error.message });
@@ -729,41 +5764,159 @@ app.post('/api/preview/stop', async (req, res) => {
   }
 });
 
+// Stream targets
+app.get('/api/stream-targets', (req, res) => {
+  res.json({ targets: getStreamTargetStates() });
+});
+
+app.post('/api/stream-targets', async (req, res) => {
+  try {
+    const target = await createStreamTarget(req.body || {});
+    res.json({ success: true, targetId: target.targetId });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/stream-targets/:targetId', async (req, res) => {
+  try {
+    const target = await updateStreamTarget(req.params.targetId, req.body || {});
+    if (!target) {
+      return res.status(404).json({ success: false, error: 'Stream target not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/stream-targets/:targetId', async (req, res) => {
+  try {
+    const deleted = await deleteStreamTarget(req.params.targetId);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Stream target not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Custom metadata fields
+app.get('/api/metadata-fields', (req, res) => {
+  res.json({ fields: metadataState.fields });
+});
+
+app.post('/api/metadata-fields', async (req, res) => {
+  try {
+    const field = await createMetadataField(req.body || {});
+    res.json({ success: true, field });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/metadata-fields/:key', async (req, res) => {
+  try {
+    const field = await updateMetadataField(req.params.key, req.body || {});
+    if (!field) {
+      return res.status(404).json({ success: false, error: 'Custom field not found' });
+    }
+    res.json({ success: true, field });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/metadata-fields/:key', async (req, res) => {
+  try {
+    const deleted = await deleteMetadataField(req.params.key);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Custom field not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// HLS live output
+app.get('/api/live', (req, res) => {
+  const recording = captureState.currentRecording;
+  res.json({
+    enabled: liveState.enabled,
+    active: liveState.active,
+    recording: recording ? { recordingId: recording.recordingId, startTime: recording.startTime, notes: recording.notes } : null
+  });
+});
+
+app.post('/api/live', async (req, res) => {
+  try {
+    const result = await setLiveEnabled(req.body?.enabled);
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Live viewer page
+app.get('/watch', (req, res) => {
+  res.sendFile(path.join(__dirname, '../client/live.html'));
+});
+
+// Recording detail page
+app.get('/recordings/:recordingId', (req, res) => {
+  res.sendFile(path.join(__dirname, '../client/recording.html'));
+});
+
 // Serve main page
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../client/index.html'));
 });
 
-// Preview endpoint - serves the latest preview image
+// Preview endpoint - serves the latest preview image (the polling fallback)
 app.get('/api/preview', (req, res) => {
-  // If currently recording, use the recording's preview
-  if (captureState.isCapturing && captureState.currentRecording) {
-    const recordingId = captureState.currentRecording.recordingId;
-    const previewPath = path.join(UPLOADS_DIR, `${recordingId}_preview`, 'preview.jpg');
-    
-    if (fs.existsSync(previewPath)) {
-      res.setHeader('Content-Type', 'image/jpeg');
-      res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-      res.sendFile(previewPath);
-      return;
-    }
-  }
-  
-  // Otherwise use the live preview (when not recording)
-  const previewPath = path.join(UPLOADS_DIR, 'live_preview', 'preview.jpg');
-  
-  if (fs.existsSync(previewPath)) {
+  // Frames come from the recording process while capturing, else the live preview
+  if (previewHub.latestFrame) {
     res.setHeader('Content-Type', 'image/jpeg');
     res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-    res.sendFile(previewPath);
+    res.send(previewHub.latestFrame);
   } else {
     res.status(404).json({ error: 'Preview not available' });
   }
 });
 
+// MJPEG preview stream; stays open across the switch from live preview to capture
+app.get('/api/preview/stream', (req, res) => {
+  if (!captureState.isPreviewing && !captureState.isCapturing) {
+    return res.status(404).json({ error: 'Preview not available' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': `multipart/x-mixed-replace; boundary=${PREVIEW_BOUNDARY}`,
+    'Cache-Control': 'no-cache, no-store, must-revalidate',
+    Connection: 'close'
+  });
+  previewHub.viewers.add(res);
+  req.on('close', () => previewHub.viewers.delete(res));
+
+  if (previewHub.latestFrame) {
+    writePreviewFrame(res, previewHub.latestFrame);
+  }
+});
+
 // Start server
 async function startServer() {
   await connectToMongoDB();
+  await migrateLegacyUploadFields();
+  await ensureRecordingIdIndex();
+  await seedDefaultProfiles();
+  await loadStreamTargets();
+  await loadMetadataFields();
+  await recoverOrphanedRecordings();
+  await startUploadQueue();
+  startStorageMonitor();
+  await startScheduler();
   log(`Starting server on ${HOST}:${PORT}`);
   
   server.listen(PORT, HOST, () => {